@@ -6,267 +6,1927 @@
 const API_BASE_URL = "https://api.mangadex.org";
 const COVER_ART_BASE_URL = "https://uploads.mangadex.org";
 const MANGA_DEX_BASE_URL = "https://mangadex.org";
+const AUTH_TOKEN_URL =
+  "https://auth.mangadex.org/realms/mangadex/protocol/openid-connect/token";
 const PROXY_BASE_URL = "http://localhost:8080/api/proxy/resource";
+const DEFAULT_LANGUAGES = ["en"];
+// Cover image variants served by uploads.mangadex.org
+const COVER_SIZES = ["256", "512", "original"];
+// Incremental chapter sync: saved feeds live under this state key prefix,
+// are fully refetched weekly, and each sync overlaps the previous one
+const CHAPTER_STATE_PREFIX = "chapters:";
+const FULL_SYNC_INTERVAL_MS = 7 * 24 * 60 * 60 * 1000;
+const SYNC_OVERLAP_MS = 5 * 60 * 1000;
+// Search paging; MangaDex rejects offset + limit beyond the result window
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+const MAX_RESULT_WINDOW = 10000;
+// Chapter feed page size (the largest MangaDex allows)
+const FEED_PAGE_SIZE = 500;
+// State key holding OAuth tokens for authenticated mode
+const AUTH_STATE_KEY = "auth";
+// Renew access tokens this long before they expire
+const TOKEN_EXPIRY_MARGIN_MS = 30000;
+// Request retry defaults, used for 429 and 5xx responses
+const DEFAULT_MAX_ATTEMPTS = 4;
+const RETRY_BASE_DELAY_MS = 1000;
+const RETRY_MAX_DELAY_MS = 30000;
+const RATE_LIMIT_MAX_WAIT_MS = 120000;
+// How many times to ask /at-home/server for a usable image node
+const AT_HOME_ATTEMPTS = 3;
+
+// External site keys used in manga "links", mapped to readable names
+const EXTERNAL_LINK_NAMES = {
+  al: "anilist",
+  ap: "animeplanet",
+  bw: "bookwalker",
+  mu: "mangaupdates",
+  nu: "novelupdates",
+  kt: "kitsu",
+  amz: "amazon",
+  ebj: "ebookjapan",
+  mal: "myanimelist",
+  cdj: "cdjapan",
+  raw: "raw",
+  engtl: "official_english",
+};
+
+const UUID_PATTERN =
+  "[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}";
+
+// Search filter tokens (e.g. "status:completed") and the values MangaDex accepts
+const SEARCH_FILTERS = {
+  tag: { param: "includedTags[]" },
+  status: {
+    param: "status[]",
+    values: ["ongoing", "completed", "hiatus", "cancelled"],
+  },
+  demographic: {
+    param: "publicationDemographic[]",
+    values: ["shounen", "shoujo", "josei", "seinen", "none"],
+  },
+  rating: {
+    param: "contentRating[]",
+    values: ["safe", "suggestive", "erotica", "pornographic"],
+  },
+  year: { param: "year" },
+};
+
+// Content ratings searched when content_ratings is not configured
+const DEFAULT_CONTENT_RATINGS = ["safe", "suggestive"];
+
+// Browse lists and the manga list ordering behind each of them
+const BROWSE_LISTS = {
+  popular: "followedCount",
+  recently_added: "createdAt",
+  latest_updates: "latestUploadedChapter",
+};
+
+/**
+ * Constructs a proxy URL for an image resource
+ * @param {string} imageUrl - The original image URL to proxy
+ * @param {object} options - Optional headers and configuration
+ * @param {string} options.referer - Referer header value
+ * @returns {string} The proxy URL
+ */
+function constructProxyUrl(imageUrl, options = {}) {
+  const params = [];
+  params.push("url=" + encodeURIComponent(imageUrl));
+
+  if (options.referer) {
+    params.push("referer=" + encodeURIComponent(options.referer));
+  }
+
+  return PROXY_BASE_URL + "?" + params.join("&");
+}
+
+/**
+ * Thrown by getPageURLs for chapters hosted on another site (e.g. MangaPlus)
+ */
+class ExternalChapterError extends Error {
+  /**
+   * @param {string} chapterId - Chapter ID
+   * @param {string} externalUrl - Where the chapter can be read
+   */
+  constructor(chapterId, externalUrl) {
+    const host = getUrlHost(externalUrl);
+    super(
+      `Chapter ${chapterId} is hosted externally on ${host} and cannot be downloaded: ${externalUrl}`
+    );
+    this.name = "ExternalChapterError";
+    this.code = "EXTERNAL_CHAPTER";
+    this.chapterId = chapterId;
+    this.externalUrl = externalUrl;
+    this.host = host;
+  }
+}
+
+/**
+ * Thrown by getPageURLs for chapters MangaDex flags as unavailable
+ */
+class UnavailableChapterError extends Error {
+  /**
+   * @param {string} chapterId - Chapter ID
+   */
+  constructor(chapterId) {
+    super(`Chapter ${chapterId} is unavailable on MangaDex`);
+    this.name = "UnavailableChapterError";
+    this.code = "UNAVAILABLE_CHAPTER";
+    this.chapterId = chapterId;
+  }
+}
+
+exports.ExternalChapterError = ExternalChapterError;
+exports.UnavailableChapterError = UnavailableChapterError;
+
+/**
+ * Gets the host name of a URL
+ * @param {string} url - URL
+ * @returns {string} Host name, or the URL itself if it cannot be parsed
+ */
+function getUrlHost(url) {
+  try {
+    return new URL(url).hostname;
+  } catch (e) {
+    return url;
+  }
+}
+
+/**
+ * Waits for the given number of milliseconds
+ * @param {number} ms - Delay in milliseconds
+ */
+async function sleep(ms) {
+  if (ms <= 0) return;
+  await new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Reads a response header case-insensitively
+ * @param {object} response - HTTP response
+ * @param {string} name - Header name
+ * @returns {string|undefined} Header value (first value if repeated)
+ */
+function getHeader(response, name) {
+  const headers = response?.headers || {};
+  const key = Object.keys(headers).find(
+    (header) => header.toLowerCase() === name.toLowerCase()
+  );
+  if (key === undefined) return undefined;
+  const value = headers[key];
+  return Array.isArray(value) ? value[0] : value;
+}
+
+/**
+ * Computes how long MangaDex asks us to wait before the next request
+ * X-RateLimit-Retry-After is a Unix timestamp in seconds, Retry-After is
+ * either a number of seconds or an HTTP date
+ * @param {object} response - HTTP response
+ * @returns {number|null} Delay in milliseconds, or null if no header is set
+ */
+function getRateLimitDelay(response) {
+  const retryAt = Number(getHeader(response, "X-RateLimit-Retry-After"));
+  if (retryAt > 0) {
+    return Math.max(0, retryAt * 1000 - Date.now());
+  }
+
+  const retryAfter = getHeader(response, "Retry-After");
+  if (retryAfter !== undefined && retryAfter !== "") {
+    const seconds = Number(retryAfter);
+    if (!isNaN(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+    const date = Date.parse(retryAfter);
+    if (!isNaN(date)) {
+      return Math.max(0, date - Date.now());
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Performs a GET request against MangaDex, honoring rate limits
+ * 429 responses wait for the time given in the rate-limit headers, 5xx
+ * responses back off exponentially. After the configured number of attempts
+ * the last response is returned for the caller to report.
+ * @param {string} url - Request URL
+ * @param {object} mango - Mango API object
+ * @param {object} options - Request options
+ * @param {object} options.headers - Extra request headers
+ * @returns {Promise<object>} HTTP response
+ */
+async function apiGet(url, mango, options = {}) {
+  // Get timeout from config (in milliseconds) and convert to seconds
+  const timeoutMs = mango.config?.timeout || 20000;
+  const timeoutSec = timeoutMs / 1000;
+  const maxAttempts = Math.max(
+    1,
+    Number(mango.config?.max_attempts) || DEFAULT_MAX_ATTEMPTS
+  );
+
+  for (let attempt = 1; ; attempt++) {
+    const requestOptions = { timeout: timeoutSec };
+    if (options.headers) {
+      requestOptions.headers = options.headers;
+    }
+    const response = await mango.http.get(url, requestOptions);
+    const status = response.status;
+    const retryable = status === 429 || (status >= 500 && status < 600);
+
+    if (!retryable) {
+      // Out of requests for this window: wait before letting the next one go
+      if (getHeader(response, "X-RateLimit-Remaining") === "0") {
+        const delay = getRateLimitDelay(response);
+        if (delay) {
+          mango.log.debug(`Rate limit reached, waiting ${delay}ms`);
+          await sleep(Math.min(delay, RATE_LIMIT_MAX_WAIT_MS));
+        }
+      }
+      return response;
+    }
+
+    if (attempt >= maxAttempts) {
+      mango.log.warn(`Giving up on ${url} after ${attempt} attempts`);
+      return response;
+    }
+
+    let delay = status === 429 ? getRateLimitDelay(response) : null;
+    if (delay === null) {
+      delay = Math.min(
+        RETRY_BASE_DELAY_MS * 2 ** (attempt - 1),
+        RETRY_MAX_DELAY_MS
+      );
+    }
+    delay = Math.min(delay, RATE_LIMIT_MAX_WAIT_MS);
+
+    mango.log.warn(
+      `MangaDex returned ${status}, retrying in ${delay}ms (attempt ${attempt}/${maxAttempts})`
+    );
+    await sleep(delay);
+  }
+}
+
+/**
+ * Reads a list-valued config option
+ * Accepts either an array or a comma-separated string
+ * @param {object} mango - Mango API object
+ * @param {string} key - Config key
+ * @param {string[]} fallback - Value used when the option is unset or empty
+ * @returns {string[]} Trimmed, non-empty entries
+ */
+function getListConfig(mango, key, fallback = []) {
+  const value = mango.config?.[key];
+  let entries = [];
+  if (Array.isArray(value)) {
+    entries = value;
+  } else if (typeof value === "string") {
+    entries = value.split(",");
+  }
+
+  entries = entries.map((entry) => String(entry).trim()).filter(Boolean);
+  return entries.length > 0 ? entries : fallback;
+}
+
+/**
+ * Splits a search query into title text and filter tokens
+ * Tokens look like "key:value" or key:"quoted value"; unknown keys stay part
+ * of the title so titles such as "Re:Zero" still work
+ * @param {string} query - Raw search query
+ * @returns {{title: string, filters: object}} Title text and filter values by key
+ */
+function parseSearchQuery(query) {
+  const filters = {};
+  const titleParts = [];
+  const tokenRegex = /(\S+?):(?:"([^"]*)"|(\S+))|(\S+)/g;
+  let match;
+
+  while ((match = tokenRegex.exec(query)) !== null) {
+    const key = (match[1] || "").toLowerCase();
+    if (match[1] && SEARCH_FILTERS[key]) {
+      const value = (match[2] !== undefined ? match[2] : match[3]).trim();
+      if (value) {
+        (filters[key] = filters[key] || []).push(value);
+      }
+    } else {
+      titleParts.push(match[0]);
+    }
+  }
+
+  return { title: titleParts.join(" "), filters };
+}
+
+/**
+ * Reads the content ratings allowed by the content_ratings config
+ * Called once per export, which passes the ratings on, so unknown ratings
+ * are only reported once
+ * @param {object} mango - Mango API object
+ * @returns {string[]} Valid MangaDex content ratings
+ */
+function getContentRatings(mango) {
+  const valid = SEARCH_FILTERS.rating.values;
+  const configured = getListConfig(mango, "content_ratings").map((rating) =>
+    rating.toLowerCase()
+  );
+  const ratings = configured.filter((rating) => valid.includes(rating));
+
+  if (ratings.length < configured.length) {
+    mango.log.warn(
+      `Ignoring unknown content ratings: ${configured
+        .filter((rating) => !valid.includes(rating))
+        .join(", ")}`
+    );
+  }
+  return ratings.length > 0 ? ratings : DEFAULT_CONTENT_RATINGS;
+}
+
+/**
+ * Builds the contentRating[] query parameters for the configured ratings
+ * @param {string[]} contentRatings - Ratings from getContentRatings
+ * @returns {string} Query string fragment starting with "&"
+ */
+function buildContentRatingParams(contentRatings) {
+  return contentRatings
+    .map((rating) => `&contentRating[]=${encodeURIComponent(rating)}`)
+    .join("");
+}
+
+/**
+ * Converts parsed search filters into MangaDex query parameters
+ * Tag names are resolved to UUIDs through /manga/tag
+ * @param {object} filters - Filter values by key, from parseSearchQuery
+ * @param {object} mango - Mango API object
+ * @param {string[]} contentRatings - Ratings from getContentRatings
+ * @returns {Promise<string>} Query string fragment, each parameter prefixed with "&"
+ */
+async function buildFilterParams(filters, mango, contentRatings) {
+  const params = [];
+
+  for (const [key, values] of Object.entries(filters)) {
+    const filter = SEARCH_FILTERS[key];
+    let resolved = values.map((value) => value.toLowerCase());
+
+    if (key === "tag") {
+      resolved = await resolveTagIds(values, mango);
+    } else if (key === "year") {
+      const year = values[values.length - 1];
+      if (!/^\d{4}$/.test(year)) {
+        throw new Error(`Invalid year filter: ${year}`);
+      }
+      resolved = [year];
+    } else {
+      for (const value of resolved) {
+        if (!filter.values.includes(value)) {
+          throw new Error(
+            `Invalid ${key} filter: ${value} (expected one of ${filter.values.join(", ")})`
+          );
+        }
+      }
+    }
+
+    if (key === "rating") {
+      for (const value of resolved) {
+        if (!contentRatings.includes(value)) {
+          throw new Error(
+            `Content rating ${value} is not enabled in content_ratings (${contentRatings.join(", ")})`
+          );
+        }
+      }
+    }
+
+    for (const value of resolved) {
+      params.push(`&${filter.param}=${encodeURIComponent(value)}`);
+    }
+  }
+
+  return params.join("");
+}
+
+/**
+ * Resolves tag names to MangaDex tag UUIDs
+ * Names match case-insensitively, with "-" and "_" treated as spaces
+ * @param {string[]} names - Tag names from the search query
+ * @param {object} mango - Mango API object
+ * @returns {Promise<string[]>} Tag UUIDs
+ */
+async function resolveTagIds(names, mango) {
+  const normalize = (name) => name.toLowerCase().replace(/[-_]+/g, " ").trim();
+
+  const response = await apiGet(`${API_BASE_URL}/manga/tag`, mango);
+  if (response.status !== 200) {
+    throw new Error(`Failed to fetch tags: ${response.statusText}`);
+  }
+
+  const tagIds = new Map();
+  for (const tag of response.data?.data || []) {
+    for (const name of Object.values(tag.attributes?.name || {})) {
+      tagIds.set(normalize(name), tag.id);
+    }
+  }
+
+  return names.map((name) => {
+    const id = tagIds.get(normalize(name));
+    if (!id) {
+      throw new Error(`Unknown tag: ${name}`);
+    }
+    return id;
+  });
+}
+
+/**
+ * Collects every title of a manga with its language
+ * @param {object} attributes - Manga attributes
+ * @returns {Array<{language: string, title: string}>} Main titles first,
+ *   then altTitles in the order MangaDex lists them
+ */
+function getTitleEntries(attributes) {
+  const entries = [];
+  const add = (titles) => {
+    if (titles && typeof titles === "object") {
+      for (const [language, title] of Object.entries(titles)) {
+        if (title) {
+          entries.push({ language, title });
+        }
+      }
+    }
+  };
+
+  add(attributes?.title);
+  for (const altTitle of attributes?.altTitles || []) {
+    add(altTitle);
+  }
+  return entries;
+}
+
+/**
+ * Reads the configured title language preference
+ * @param {object} mango - Mango API object
+ * @returns {string[]} Language codes, most preferred first
+ */
+function getTitleLanguages(mango) {
+  return getListConfig(mango, "title_languages", DEFAULT_LANGUAGES).map(
+    (language) => language.toLowerCase()
+  );
+}
+
+/**
+ * Gets the display title of a manga
+ * Picks the first preferred language found in the main title or altTitles,
+ * falling back to the main title (English, else its first language)
+ * @param {object} attributes - Manga attributes
+ * @param {string[]} titleLanguages - Language codes, most preferred first
+ * @returns {string} Title, or an empty string if none is set
+ */
+function getMangaTitle(attributes, titleLanguages = DEFAULT_LANGUAGES) {
+  const entries = getTitleEntries(attributes);
+  for (const language of titleLanguages) {
+    const entry = entries.find(
+      (item) => item.language.toLowerCase() === language
+    );
+    if (entry) {
+      return entry.title;
+    }
+  }
+
+  let title = "";
+  if (attributes && attributes.title && typeof attributes.title === "object") {
+    if (attributes.title.en) {
+      title = attributes.title.en;
+    } else {
+      const titleKeys = Object.keys(attributes.title);
+      if (titleKeys.length > 0) {
+        title = attributes.title[titleKeys[0]] || "";
+      }
+    }
+  }
+  return title;
+}
+
+/**
+ * Lists the titles of a manga other than its display title
+ * @param {object} attributes - Manga attributes
+ * @param {string} displayTitle - Title already shown for the manga
+ * @returns {string[]} Distinct titles, main title languages first
+ */
+function getAltTitles(attributes, displayTitle) {
+  const titles = [];
+  for (const { title } of getTitleEntries(attributes)) {
+    if (title !== displayTitle && !titles.includes(title)) {
+      titles.push(title);
+    }
+  }
+  return titles;
+}
+
+/**
+ * Gets the title of a manga in its original language
+ * Japanese, Korean and Chinese originals may only have a romanized title
+ * (e.g. "ja-ro"), which is used when there is no native one
+ * @param {object} attributes - Manga attributes
+ * @returns {string} Title, or an empty string if none is set
+ */
+function getOriginalTitle(attributes) {
+  const original = String(attributes?.originalLanguage || "").toLowerCase();
+  if (!original) {
+    return "";
+  }
+
+  const entries = getTitleEntries(attributes);
+  for (const language of [original, `${original}-ro`]) {
+    const entry = entries.find(
+      (item) => item.language.toLowerCase() === language
+    );
+    if (entry) {
+      return entry.title;
+    }
+  }
+  return "";
+}
+
+/**
+ * Finds the cover art file name of a manga
+ * @param {object} mangaData - Manga entity with relationships
+ * @param {Map} coverArtMap - Cover file names keyed by cover ID, from "included"
+ * @returns {string} Cover file name, or an empty string if none is found
+ */
+function findCoverFileName(mangaData, coverArtMap = new Map()) {
+  // First, check if cover art is directly in relationships with attributes (legacy format)
+  for (const rel of mangaData.relationships || []) {
+    if (rel.type === "cover_art") {
+      if (rel.attributes?.fileName || rel.attributes?.file_name) {
+        return rel.attributes.fileName || rel.attributes.file_name;
+      }
+      // If no attributes, try to find in included array by ID
+      if (rel.id && coverArtMap.has(rel.id)) {
+        return coverArtMap.get(rel.id);
+      }
+    }
+  }
+  return "";
+}
+
+/**
+ * Constructs the URL of a cover image
+ * MangaDex cover art URLs are publicly accessible and don't require proxy,
+ * using direct URLs avoids rate limiting issues
+ * @param {string} mangaId - Manga ID
+ * @param {string} coverFileName - Cover file name
+ * @param {string} size - "256" or "512" for a thumbnail, "original" for the full image
+ * @returns {string} Cover URL, or an empty string if either part is missing
+ */
+function buildCoverUrl(mangaId, coverFileName, size = "256") {
+  if (!coverFileName || !mangaId) {
+    return "";
+  }
+  const url = `${COVER_ART_BASE_URL}/covers/${mangaId}/${coverFileName}`;
+  return size === "original" ? url : `${url}.${size}.jpg`;
+}
+
+/**
+ * Reads the configured search thumbnail size
+ * @param {object} mango - Mango API object
+ * @returns {string} "256", "512" or "original"
+ */
+function getThumbnailSize(mango) {
+  const size = String(mango.config?.thumbnail_size || "256").toLowerCase();
+  return COVER_SIZES.includes(size) ? size : "256";
+}
+
+/**
+ * Converts a MangaDex manga list response into search results
+ * Titles follow the title_languages config and covers the thumbnail_size config;
+ * manga with a rating outside content_ratings are left out
+ * @param {object} apiResponse - Response body with data and optional included
+ * @param {object} mango - Mango API object
+ * @param {string[]} contentRatings - Ratings from getContentRatings
+ * @returns {Array} SearchResult objects, invalid entries skipped
+ */
+function toSearchResults(apiResponse, mango, contentRatings) {
+  if (!apiResponse || !Array.isArray(apiResponse.data)) {
+    return [];
+  }
+
+  const coverSize = getThumbnailSize(mango);
+  const titleLanguages = getTitleLanguages(mango);
+
+  // Build a map of cover art from included array for quick lookup
+  const coverArtMap = new Map();
+  if (apiResponse.included && Array.isArray(apiResponse.included)) {
+    for (const item of apiResponse.included) {
+      if (item.type === "cover_art" && item.id) {
+        const fileName =
+          item.attributes?.fileName || item.attributes?.file_name || "";
+        if (fileName) {
+          coverArtMap.set(item.id, fileName);
+        }
+      }
+    }
+  }
+
+  return apiResponse.data
+    .filter((mangaData) => {
+      // Filter out invalid entries
+      return (
+        mangaData &&
+        mangaData.attributes &&
+        mangaData.attributes.title &&
+        mangaData.id &&
+        (!mangaData.attributes.contentRating ||
+          contentRatings.includes(mangaData.attributes.contentRating))
+      );
+    })
+    .map((mangaData) => {
+      const title = getMangaTitle(mangaData.attributes, titleLanguages);
+      const coverFileName = findCoverFileName(mangaData, coverArtMap);
+
+      return {
+        title: title || "Untitled",
+        cover_url: buildCoverUrl(mangaData.id, coverFileName, coverSize),
+        identifier: mangaData.id || "",
+        alt_titles: getAltTitles(mangaData.attributes, title),
+        original_title: getOriginalTitle(mangaData.attributes),
+        content_rating: mangaData.attributes.contentRating || "",
+      };
+    });
+}
+
+/**
+ * Recognizes a MangaDex title or chapter link, or a bare UUID
+ * @param {string} query - Search query
+ * @returns {{type: string, id: string}|null} "manga", "chapter" or "uuid"
+ *   (unknown kind) with the lowercased ID, or null for other queries
+ */
+function parseMangaDexReference(query) {
+  const text = String(query || "").trim();
+
+  const linkMatch = text.match(
+    new RegExp(
+      `^(?:https?:\\/\\/)?(?:www\\.)?mangadex\\.org\\/(title|manga|chapter)\\/(${UUID_PATTERN})(?:[/?#].*)?$`,
+      "i"
+    )
+  );
+  if (linkMatch) {
+    const type = linkMatch[1].toLowerCase() === "chapter" ? "chapter" : "manga";
+    return { type, id: linkMatch[2].toLowerCase() };
+  }
+
+  if (new RegExp(`^${UUID_PATTERN}$`, "i").test(text)) {
+    return { type: "uuid", id: text.toLowerCase() };
+  }
+
+  return null;
+}
+
+/**
+ * Fetches the manga a MangaDex link or UUID points to
+ * Chapter links are resolved through the chapter's manga relationship; bare
+ * UUIDs are tried as a manga first, then as a chapter
+ * @param {{type: string, id: string}} reference - From parseMangaDexReference
+ * @param {object} mango - Mango API object
+ * @param {string[]} contentRatings - Ratings from getContentRatings
+ * @returns {Promise<Array>} The manga as a single search result, or no results
+ */
+async function lookupReference(reference, mango, contentRatings) {
+  const fetchManga = async (mangaId) => {
+    const response = await apiGet(
+      `${API_BASE_URL}/manga/${mangaId}?includes[]=cover_art`,
+      mango
+    );
+    if (response.status === 404) {
+      return null;
+    }
+    if (response.status !== 200) {
+      throw new Error(`Search failed: ${response.statusText}`);
+    }
+    return toSearchResults(
+      { data: [response.data?.data] },
+      mango,
+      contentRatings
+    );
+  };
+
+  const fetchChapterManga = async (chapterId) => {
+    const response = await apiGet(
+      `${API_BASE_URL}/chapter/${chapterId}`,
+      mango
+    );
+    if (response.status === 404) {
+      return null;
+    }
+    if (response.status !== 200) {
+      throw new Error(`Search failed: ${response.statusText}`);
+    }
+    const manga = (response.data?.data?.relationships || []).find(
+      (rel) => rel.type === "manga"
+    );
+    return manga ? fetchManga(manga.id) : null;
+  };
+
+  let results = null;
+  if (reference.type === "chapter") {
+    results = await fetchChapterManga(reference.id);
+  } else {
+    results = await fetchManga(reference.id);
+    if (!results && reference.type === "uuid") {
+      results = await fetchChapterManga(reference.id);
+    }
+  }
+  return results || [];
+}
+
+/**
+ * Fetches manga by ID as search results, MAX_PAGE_SIZE IDs per request
+ * @param {Array<string>} ids - Manga IDs
+ * @param {object} mango - Mango API object
+ * @param {string[]} contentRatings - Ratings from getContentRatings
+ * @returns {Promise<Array>} SearchResult objects in the order of ids;
+ *   manga MangaDex did not return are left out
+ */
+async function fetchSearchResultsByIds(ids, mango, contentRatings) {
+  const resultsById = new Map();
+  for (let i = 0; i < ids.length; i += MAX_PAGE_SIZE) {
+    const chunk = ids.slice(i, i + MAX_PAGE_SIZE);
+    const idParams = chunk
+      .map((id) => `ids[]=${encodeURIComponent(id)}`)
+      .join("&");
+    const response = await apiGet(
+      `${API_BASE_URL}/manga?${idParams}&limit=${chunk.length}&includes[]=cover_art${buildContentRatingParams(contentRatings)}`,
+      mango
+    );
+
+    if (response.status !== 200) {
+      throw new Error(`Failed to fetch manga: ${response.statusText}`);
+    }
+
+    const results = toSearchResults(response.data, mango, contentRatings);
+    for (const result of results) {
+      resultsById.set(result.identifier, result);
+    }
+  }
+
+  return ids
+    .filter((id) => resultsById.has(id))
+    .map((id) => resultsById.get(id));
+}
+
+/**
+ * Maps page options to a MangaDex limit/offset inside the result window
+ * @param {object} options - Paging options
+ * @param {number} options.page - 1-based page number
+ * @param {number} options.pageSize - Results per page
+ * @returns {{page: number, pageSize: number, limit: number, offset: number}}
+ *   limit is 0 when the page lies beyond the result window
+ */
+function getPageWindow(options = {}) {
+  const page = Math.max(1, parseInt(options.page, 10) || 1);
+  const pageSize = Math.min(
+    MAX_PAGE_SIZE,
+    Math.max(1, parseInt(options.pageSize, 10) || DEFAULT_PAGE_SIZE)
+  );
+  const offset = (page - 1) * pageSize;
+  const limit = Math.max(0, Math.min(pageSize, MAX_RESULT_WINDOW - offset));
+  return { page, pageSize, limit, offset };
+}
+
+/**
+ * Searches for manga on MangaDex
+ * Supports filter tokens such as "tag:romance status:completed
+ * demographic:seinen rating:safe year:2019" alongside the title text.
+ * MangaDex title/chapter links and bare UUIDs return that manga directly.
+ * @param {string} query - Search query
+ * @param {object} mango - Mango API object
+ * @param {object} [options] - Paging options; when given, a page object is
+ *   returned instead of a plain array
+ * @param {number} options.page - 1-based page number (default 1)
+ * @param {number} options.pageSize - Results per page (default 25, max 100)
+ * @returns {Promise<Array|object>} SearchResult objects, or
+ *   {results, total, page, page_size} when options are given
+ */
+exports.search = async (query, mango, options) => {
+  mango.log.info(`Searching MangaDex for: ${query}`);
+
+  try {
+    const paged = options !== undefined && options !== null;
+    const { page, pageSize, limit, offset } = getPageWindow(options || {});
+    const toPage = (results, total) => ({
+      results,
+      total: Math.min(total, MAX_RESULT_WINDOW),
+      page,
+      page_size: pageSize,
+    });
+
+    const contentRatings = getContentRatings(mango);
+
+    const reference = parseMangaDexReference(query);
+    if (reference) {
+      mango.log.debug(`Looking up MangaDex ${reference.type} ${reference.id}`);
+      const results = await lookupReference(reference, mango, contentRatings);
+      mango.log.info(`Found ${results.length} results`);
+      if (!paged) {
+        return results;
+      }
+      return toPage(page === 1 ? results : [], results.length);
+    }
+
+    const parsed = parseSearchQuery(query);
+    const hasFilters = Object.keys(parsed.filters).length > 0;
+    const filterParams = await buildFilterParams(
+      parsed.filters,
+      mango,
+      contentRatings
+    );
+    // A rating: token narrows the configured ratings instead of adding to them
+    const ratingParams = parsed.filters.rating
+      ? ""
+      : buildContentRatingParams(contentRatings);
+
+    // Plain queries are sent exactly as typed
+    const titleQuery = hasFilters ? parsed.title : query;
+    const titleParam =
+      !hasFilters || titleQuery
+        ? `title=${encodeURIComponent(titleQuery)}&`
+        : "";
+    // Pages beyond the result window still ask for the first match, to get
+    // the real total
+    const beyondWindow = limit === 0;
+    if (beyondWindow) {
+      mango.log.info(`Page ${page} is beyond the MangaDex result window`);
+    }
+    const limitParam = beyondWindow ? 1 : limit;
+    const offsetParam = paged ? `&offset=${beyondWindow ? 0 : offset}` : "";
+
+    const url = `${API_BASE_URL}/manga?${titleParam}limit=${limitParam}${offsetParam}&includes[]=cover_art${filterParams}${ratingParams}`;
+
+    const response = await apiGet(url, mango);
+
+    if (response.status !== 200) {
+      throw new Error(`Search failed: ${response.statusText}`);
+    }
+
+    const apiResponse = response.data;
+    const results = beyondWindow
+      ? []
+      : toSearchResults(apiResponse, mango, contentRatings);
+
+    if (results.length === 0) {
+      mango.log.info("No results found");
+    } else {
+      mango.log.info(`Found ${results.length} results`);
+    }
+
+    if (!paged) {
+      return results;
+    }
+    const total = Number(apiResponse?.total);
+    return toPage(results, isNaN(total) ? offset + results.length : total);
+  } catch (error) {
+    mango.log.error(`Search failed: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Gets the list of chapters for a manga series
+ * After the first call only chapters updated since the last sync are fetched
+ * and merged into the list kept in mango.state
+ * @param {string} seriesIdentifier - Manga ID
+ * @param {object} mango - Mango API object
+ * @param {object} options - Sync options
+ * @param {boolean} options.fullResync - Refetch the whole feed, ignoring saved state
+ */
+exports.getChapters = async (seriesIdentifier, mango, options = {}) => {
+  mango.log.info(`Fetching chapters for series: ${seriesIdentifier}`);
+
+  try {
+    const entries = await syncSeriesFeed(seriesIdentifier, mango, options);
+    const chapters = finalizeChapters(entries, mango);
+
+    mango.log.info(`Found ${chapters.length} chapters`);
+    return chapters;
+  } catch (error) {
+    mango.log.error(`GetChapters failed: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Gets the feed entries of a series, incrementally when saved state allows it
+ * A full fetch happens on the first call, when the feed settings changed,
+ * when the last full fetch is older than FULL_SYNC_INTERVAL_MS, or on request
+ * @param {string} seriesIdentifier - Manga ID
+ * @param {object} mango - Mango API object
+ * @param {object} options - Sync options
+ * @param {boolean} options.fullResync - Ignore saved state
+ * @returns {Promise<Array>} Feed entries in ascending order
+ */
+async function syncSeriesFeed(seriesIdentifier, mango, options) {
+  const feedUrl = `${API_BASE_URL}/manga/${seriesIdentifier}/feed`;
+  const feedOptions = { order: "order[volume]=desc&order[chapter]=desc" };
+  // Without plugin state there is no saved list to merge updates into
+  if (mango.config?.incremental_sync === false || !mango.state) {
+    return fetchFeedEntries(feedUrl, mango, feedOptions);
+  }
+
+  const stateKey = `${CHAPTER_STATE_PREFIX}${seriesIdentifier}`;
+  const configKey = getFeedConfigKey(mango);
+  const startedAt = Date.now();
+  const stored = options.fullResync ? null : await mango.state.get(stateKey);
+
+  const canResume =
+    stored &&
+    stored.config_key === configKey &&
+    Array.isArray(stored.entries) &&
+    startedAt - Date.parse(stored.full_synced_at) < FULL_SYNC_INTERVAL_MS &&
+    !isNaN(Date.parse(stored.synced_at));
+
+  let entries;
+  let fullSyncedAt;
+  if (canResume) {
+    // Overlap with the previous sync so clock differences don't lose updates
+    const since = Date.parse(stored.synced_at) - SYNC_OVERLAP_MS;
+    const updates = await fetchFeedEntries(
+      `${feedUrl}?updatedAtSince=${formatApiDate(since)}`,
+      mango,
+      feedOptions
+    );
+    mango.log.debug(`Merging ${updates.length} updated chapters`);
+    entries = mergeFeedEntries(stored.entries, updates);
+    fullSyncedAt = stored.full_synced_at;
+  } else {
+    entries = await fetchFeedEntries(feedUrl, mango, feedOptions);
+    fullSyncedAt = new Date(startedAt).toISOString();
+  }
+
+  await mango.state.set(stateKey, {
+    synced_at: new Date(startedAt).toISOString(),
+    full_synced_at: fullSyncedAt,
+    config_key: configKey,
+    entries,
+  });
+  return entries;
+}
+
+/**
+ * Describes the settings that decide which entries a feed returns
+ * Saved entries are only reused while this stays the same
+ * @param {object} mango - Mango API object
+ * @returns {string} Settings signature
+ */
+function getFeedConfigKey(mango) {
+  return JSON.stringify([
+    getListConfig(mango, "languages", DEFAULT_LANGUAGES),
+    getListConfig(mango, "blocked_groups").map((group) => group.toLowerCase()),
+    Boolean(mango.config?.hide_external_chapters),
+    Boolean(mango.config?.hide_unavailable_chapters),
+  ]);
+}
+
+/**
+ * Merges updated feed entries into saved ones
+ * Updated entries replace saved ones in place, new entries are added and
+ * sorted by volume and chapter number
+ * @param {Array} existing - Saved entries in ascending order
+ * @param {Array} updates - Entries from an incremental fetch
+ * @returns {Array} Merged entries
+ */
+function mergeFeedEntries(existing, updates) {
+  const updatesById = new Map(
+    updates.map((entry) => [entry.identifier, entry])
+  );
+  const merged = existing.map((entry) => {
+    const update = updatesById.get(entry.identifier);
+    updatesById.delete(entry.identifier);
+    return update || entry;
+  });
+
+  if (updatesById.size === 0) {
+    return merged;
+  }
+  merged.push(...updatesById.values());
+  return sortByVolumeAndChapter(merged);
+}
+
+/**
+ * Fetches a chapter feed and converts it to chapter results
+ * @param {string} feedUrl - Feed URL, optionally with filter parameters
+ * @param {object} mango - Mango API object
+ * @param {object} options - Request options, see fetchFeedEntries
+ * @returns {Promise<Array>} Chapter results in ascending order
+ */
+async function fetchChapterFeed(feedUrl, mango, options = {}) {
+  const entries = await fetchFeedEntries(feedUrl, mango, options);
+  return finalizeChapters(entries, mango);
+}
+
+/**
+ * Applies the language fallback and deduplication settings to feed entries
+ * @param {Array} entries - Feed entries in ascending order
+ * @param {object} mango - Mango API object
+ * @returns {Array} Chapter results
+ */
+function finalizeChapters(entries, mango) {
+  const languages = getListConfig(mango, "languages", DEFAULT_LANGUAGES);
+  const preferredGroups = getListConfig(mango, "preferred_groups").map(
+    (group) => group.toLowerCase()
+  );
+
+  let chapters = entries;
+  if (mango.config?.language_fallback) {
+    chapters = selectPreferredLanguage(chapters, languages);
+  }
+  if (mango.config?.deduplicate_chapters !== false) {
+    chapters = deduplicateChapters(chapters, preferredGroups);
+  }
+
+  // Groups are only kept on entries for ranking
+  return chapters.map(({ groups, ...chapter }) => chapter);
+}
+
+/**
+ * Fetches every page of a chapter feed
+ * Applies the language, blocked group and hidden chapter settings. Feeds
+ * larger than the 10,000 result window are read in createdAt windows instead.
+ * @param {string} feedUrl - Feed URL, optionally with filter parameters
+ * @param {object} mango - Mango API object
+ * @param {object} options - Request options
+ * @param {string} options.order - Order parameters, most recent first
+ * @param {object} options.headers - Extra request headers
+ * @returns {Promise<Array>} Chapter results with their scanlation groups
+ *   (groups), in ascending order
+ */
+async function fetchFeedEntries(feedUrl, mango, options = {}) {
+  const limit = FEED_PAGE_SIZE;
+
+  const languages = getListConfig(mango, "languages", DEFAULT_LANGUAGES);
+  const languageParams = languages
+    .map((lang) => `&translatedLanguage[]=${encodeURIComponent(lang)}`)
+    .join("");
+
+  const hideExternal = Boolean(mango.config?.hide_external_chapters);
+  const hideUnavailable = Boolean(mango.config?.hide_unavailable_chapters);
+  const availabilityParams =
+    (hideExternal ? "&includeExternalUrl=0" : "") +
+    `&includeUnavailable=${hideUnavailable ? 0 : 1}`;
+
+  const separator = feedUrl.includes("?") ? "&" : "?";
+  const fetchPage = async (order, offset, extraParams = "") => {
+    const url = `${feedUrl}${separator}${order}&limit=${limit}&offset=${offset}${languageParams}&includes[]=scanlation_group${availabilityParams}${extraParams}`;
+    const response = await apiGet(url, mango, options);
+
+    if (response.status !== 200) {
+      throw new Error(`Failed to fetch chapters: ${response.statusText}`);
+    }
+    return {
+      data: response.data?.data || [],
+      total: Number(response.data?.total) || 0,
+    };
+  };
+
+  const allChapters = [];
+  let offset = 0;
+  let windowed = false;
+
+  while (true) {
+    const page = await fetchPage(options.order || "", offset);
+    if (offset === 0 && page.total > MAX_RESULT_WINDOW) {
+      windowed = true;
+      break;
+    }
+    if (page.data.length === 0) {
+      break;
+    }
+
+    allChapters.push(...toFeedEntries(page.data, mango));
+
+    if (page.data.length < limit) {
+      break; // No more pages
+    }
+    offset += limit;
+    if (offset + limit > MAX_RESULT_WINDOW) {
+      windowed = true;
+      break;
+    }
+  }
+
+  if (windowed) {
+    mango.log.info(
+      "Feed is larger than the MangaDex result window, fetching by creation date"
+    );
+    return sortByVolumeAndChapter(await fetchFeedWindows(fetchPage, mango));
+  }
+
+  // Reverse to get ascending order (API returns descending)
+  allChapters.reverse();
+  return allChapters;
+}
+
+/**
+ * Reads a whole feed oldest first, one 10,000 entry window at a time
+ * Each window starts at the creation time of the last entry of the previous
+ * one; entries on the boundary are returned twice by the API and skipped
+ * @param {Function} fetchPage - Fetches one page: (order, offset, extraParams)
+ * @param {object} mango - Mango API object
+ * @returns {Promise<Array>} Feed entries in creation order
+ */
+async function fetchFeedWindows(fetchPage, mango) {
+  const entries = [];
+  const seen = new Set();
+  let since = "";
+
+  while (true) {
+    let lastCreatedAt = "";
+    let offset = 0;
+
+    while (offset + FEED_PAGE_SIZE <= MAX_RESULT_WINDOW) {
+      const sinceParam = since ? `&createdAtSince=${since}` : "";
+      const page = await fetchPage("order[createdAt]=asc", offset, sinceParam);
+
+      const fresh = page.data.filter(
+        (chapterData) => !seen.has(chapterData.id)
+      );
+      for (const chapterData of fresh) {
+        seen.add(chapterData.id);
+      }
+      entries.push(...toFeedEntries(fresh, mango));
+
+      if (page.data.length > 0) {
+        const last = page.data[page.data.length - 1];
+        lastCreatedAt = last.attributes?.createdAt || lastCreatedAt;
+      }
+      if (page.data.length < FEED_PAGE_SIZE) {
+        return entries; // Reached the end of the feed
+      }
+      offset += FEED_PAGE_SIZE;
+    }
+
+    const nextSince = lastCreatedAt ? formatApiDate(lastCreatedAt) : "";
+    if (!nextSince || nextSince === since) {
+      throw new Error(
+        "Failed to fetch chapters: feed window cannot advance past " +
+          (since || "the first window")
+      );
+    }
+    mango.log.debug(`Fetching next feed window from ${nextSince}`);
+    since = nextSince;
+  }
+}
+
+/**
+ * Converts feed chapters to entries, dropping hidden and blocked ones
+ * @param {Array} chapterList - Chapter entities from a feed page
+ * @param {object} mango - Mango API object
+ * @returns {Array} Chapter results with their scanlation groups (groups)
+ */
+function toFeedEntries(chapterList, mango) {
+  const blockedGroups = getListConfig(mango, "blocked_groups").map((group) =>
+    group.toLowerCase()
+  );
+  const hideExternal = Boolean(mango.config?.hide_external_chapters);
+  const hideUnavailable = Boolean(mango.config?.hide_unavailable_chapters);
+  const entries = [];
+
+  for (const chapterData of chapterList) {
+    const attrs = chapterData.attributes;
+    const title = formatChapterTitle(attrs);
+    const relationships = chapterData.relationships || [];
+
+    const groups = relationships
+      .filter((rel) => rel.type === "scanlation_group" && rel.id)
+      .map((rel) => ({ id: rel.id, name: rel.attributes?.name || "" }));
+
+    if (groups.some((group) => matchesGroup(group, blockedGroups))) {
+      mango.log.debug(`Skipping chapter ${chapterData.id} from blocked group`);
+      continue;
+    }
+    if (
+      (hideExternal && attrs.externalUrl) ||
+      (hideUnavailable && attrs.isUnavailable)
+    ) {
+      continue;
+    }
+
+    const manga = relationships.find((rel) => rel.type === "manga");
+
+    entries.push({
+      identifier: chapterData.id,
+      title: title,
+      volume: attrs.volume || "",
+      chapter: attrs.chapter || "",
+      pages: attrs.pages || 0,
+      language: attrs.translatedLanguage || "",
+      group_id: groups.length > 0 ? groups[0].id : "",
+      group_name: groups
+        .map((group) => group.name)
+        .filter(Boolean)
+        .join(" & "),
+      series_identifier: manga?.id || "",
+      external_url: attrs.externalUrl || "",
+      unavailable: Boolean(attrs.isUnavailable),
+      published_at: attrs.publishAt
+        ? new Date(attrs.publishAt).toISOString()
+        : "",
+      groups: groups,
+    });
+  }
+
+  return entries;
+}
+
+/**
+ * Sorts chapter results by volume, then chapter number (ascending, stable)
+ * Chapters without a volume (usually the newest of an ongoing series) go
+ * last, as in the reversed volume-descending feed order of a full sync
+ * @param {Array} chapters - Chapter results
+ * @returns {Array} The same array, sorted
+ */
+function sortByVolumeAndChapter(chapters) {
+  const volumeOf = (chapter) => {
+    const volume = parseFloat(chapter.volume);
+    return isNaN(volume) ? Infinity : volume;
+  };
+
+  return chapters.sort((a, b) => {
+    const volumeA = volumeOf(a);
+    const volumeB = volumeOf(b);
+    if (volumeA !== volumeB) {
+      return volumeA < volumeB ? -1 : 1;
+    }
+    return (parseFloat(a.chapter) || 0) - (parseFloat(b.chapter) || 0);
+  });
+}
 
 /**
- * Constructs a proxy URL for an image resource
- * @param {string} imageUrl - The original image URL to proxy
- * @param {object} options - Optional headers and configuration
- * @param {string} options.referer - Referer header value
- * @returns {string} The proxy URL
+ * Builds the key identifying a chapter number within a series
+ * @param {object} chapter - Chapter result
+ * @returns {string} Key combining series and chapter number
  */
-function constructProxyUrl(imageUrl, options = {}) {
-  const params = [];
-  params.push("url=" + encodeURIComponent(imageUrl));
+function chapterNumberKey(chapter) {
+  return `${chapter.series_identifier}:${chapter.chapter}`;
+}
 
-  if (options.referer) {
-    params.push("referer=" + encodeURIComponent(options.referer));
+/**
+ * Keeps only the most preferred language available for each chapter number
+ * Chapters without a number (e.g. oneshots) are always kept
+ * @param {Array} chapters - Chapter results in display order
+ * @param {string[]} languages - Language codes, most preferred first
+ * @returns {Array} Filtered chapter results, order preserved
+ */
+function selectPreferredLanguage(chapters, languages) {
+  const rank = (lang) => {
+    const index = languages.indexOf(lang);
+    return index === -1 ? languages.length : index;
+  };
+
+  // Find the best available language rank for each chapter number
+  const bestRank = new Map();
+  for (const chapter of chapters) {
+    if (!chapter.chapter) continue;
+    const key = chapterNumberKey(chapter);
+    const current = bestRank.get(key);
+    const chapterRank = rank(chapter.language);
+    if (current === undefined || chapterRank < current) {
+      bestRank.set(key, chapterRank);
+    }
   }
 
-  return PROXY_BASE_URL + "?" + params.join("&");
+  return chapters.filter(
+    (chapter) =>
+      !chapter.chapter ||
+      rank(chapter.language) === bestRank.get(chapterNumberKey(chapter))
+  );
 }
 
 /**
- * Searches for manga on MangaDex
- * @param {string} query - Search query
+ * Checks whether a scanlation group appears in a list of group IDs or names
+ * @param {object} group - Group with id and name
+ * @param {string[]} list - Lowercased group IDs or names
+ * @returns {boolean} True if the group is listed
+ */
+function matchesGroup(group, list) {
+  return (
+    list.includes(group.id.toLowerCase()) ||
+    (group.name !== "" && list.includes(group.name.toLowerCase()))
+  );
+}
+
+/**
+ * Collapses uploads of the same chapter number and language to a single entry
+ * The best upload is one that can be downloaded, then the one from the most
+ * preferred group, then the one with the most pages, then the first one the
+ * feed returned
+ * @param {Array} chapters - Feed entries (with groups) in display order
+ * @param {string[]} preferredGroups - Lowercased group IDs or names, best first
+ * @returns {Array} Deduplicated entries, order preserved
+ */
+function deduplicateChapters(chapters, preferredGroups) {
+  const groupRank = (chapter) => {
+    let best = preferredGroups.length;
+    for (const group of chapter.groups || []) {
+      const index = preferredGroups.findIndex((entry) =>
+        matchesGroup(group, [entry])
+      );
+      if (index !== -1 && index < best) {
+        best = index;
+      }
+    }
+    return best;
+  };
+
+  const isDownloadable = (chapter) =>
+    !chapter.external_url && !chapter.unavailable;
+
+  const isBetter = (candidate, current) => {
+    if (isDownloadable(candidate) !== isDownloadable(current)) {
+      return isDownloadable(candidate);
+    }
+    const candidateRank = groupRank(candidate);
+    const currentRank = groupRank(current);
+    if (candidateRank !== currentRank) {
+      return candidateRank < currentRank;
+    }
+    return candidate.pages > current.pages;
+  };
+
+  // Pick the best upload for each chapter number and language
+  const best = new Map();
+  for (const chapter of chapters) {
+    if (!chapter.chapter) continue;
+    const key = `${chapter.language}:${chapterNumberKey(chapter)}`;
+    const current = best.get(key);
+    if (!current || isBetter(chapter, current)) {
+      best.set(key, chapter);
+    }
+  }
+
+  return chapters.filter(
+    (chapter) =>
+      !chapter.chapter ||
+      best.get(`${chapter.language}:${chapterNumberKey(chapter)}`) === chapter
+  );
+}
+
+/**
+ * Formats chapter title from attributes
+ * @param {object} attrs - Chapter attributes
+ * @returns {string} Formatted chapter title
+ */
+function formatChapterTitle(attrs) {
+  const parts = [];
+  if (attrs.volume) {
+    parts.push(`Vol. ${attrs.volume}`);
+  }
+  if (attrs.chapter) {
+    parts.push(`Ch. ${attrs.chapter}`);
+  }
+  if (attrs.title) {
+    parts.push(attrs.title);
+  }
+  return parts.join(" ");
+}
+
+/**
+ * Gets the page URLs for a chapter
+ * @param {string} chapterIdentifier - Chapter ID
  * @param {object} mango - Mango API object
  */
-exports.search = async (query, mango) => {
-  mango.log.info(`Searching MangaDex for: ${query}`);
+exports.getPageURLs = async (chapterIdentifier, mango) => {
+  mango.log.info(`Fetching page URLs for chapter: ${chapterIdentifier}`);
+
+  try {
+    let url = `${API_BASE_URL}/at-home/server/${chapterIdentifier}`;
+    if (mango.config?.force_port_443) {
+      url += "?forcePort443=true";
+    }
+    const dataSaver = Boolean(mango.config?.data_saver);
+
+    // Each call may be answered by a different at-home node, so a malformed
+    // or empty answer is retried before giving up
+    let server = null;
+    for (let attempt = 1; attempt <= AT_HOME_ATTEMPTS; attempt++) {
+      const response = await apiGet(url, mango);
+
+      if (response.status !== 200) {
+        if (response.status === 404) {
+          await checkChapterAvailability(chapterIdentifier, mango);
+        }
+        throw new Error(`Failed to fetch page URLs: ${response.statusText}`);
+      }
+
+      server = parseAtHomeServer(response.data, dataSaver);
+      if (server && server.pageFiles.length > 0) {
+        break;
+      }
+      // External and unavailable chapters have no pages on MangaDex at all,
+      // so find out before asking other nodes
+      if (server && attempt === 1) {
+        await checkChapterAvailability(chapterIdentifier, mango);
+      }
+      const problem = server ? "has no pages" : "is malformed";
+      mango.log.warn(
+        `At-home server response ${problem} (attempt ${attempt}/${AT_HOME_ATTEMPTS})`
+      );
+    }
+
+    if (!server) {
+      throw new Error(
+        "Failed to fetch page URLs: malformed at-home server response"
+      );
+    }
+
+    const { baseURL, hash, pageFiles } = server;
+    const pathPrefix = server.dataSaver ? "data-saver" : "data";
+
+    // MangaDex requires Referer header when fetching images
+    // Use proxy URLs to include the necessary headers
+    const pageURLs = pageFiles.map((pageFile) => {
+      const imageUrl = `${baseURL}/${pathPrefix}/${hash}/${pageFile}`;
+      return constructProxyUrl(imageUrl, {
+        referer: `${MANGA_DEX_BASE_URL}/`,
+      });
+    });
+
+    mango.log.info(`Found ${pageURLs.length} pages (using proxy URLs)`);
+    return pageURLs;
+  } catch (error) {
+    mango.log.error(`GetPageURLs failed: ${error.message}`);
+    throw error;
+  }
+};
 
+/**
+ * Throws a typed error if a chapter is external or unavailable
+ * Lookup failures are logged and ignored so the original error is reported
+ * @param {string} chapterIdentifier - Chapter ID
+ * @param {object} mango - Mango API object
+ */
+async function checkChapterAvailability(chapterIdentifier, mango) {
+  let attrs = null;
   try {
-    const url = `${API_BASE_URL}/manga?title=${encodeURIComponent(
-      query
-    )}&limit=25&includes[]=cover_art`;
+    const response = await apiGet(
+      `${API_BASE_URL}/chapter/${chapterIdentifier}`,
+      mango
+    );
+    attrs = response.status === 200 ? response.data?.data?.attributes : null;
+  } catch (error) {
+    mango.log.debug(`Chapter lookup failed: ${error.message}`);
+  }
+
+  if (attrs?.externalUrl) {
+    throw new ExternalChapterError(chapterIdentifier, attrs.externalUrl);
+  }
+  if (attrs?.isUnavailable) {
+    throw new UnavailableChapterError(chapterIdentifier);
+  }
+}
+
+/**
+ * Extracts the image node and page files from an /at-home/server response
+ * Falls back to full quality pages when data-saver files are missing
+ * @param {object} apiResponse - Response body
+ * @param {boolean} dataSaver - Whether compressed data-saver pages are preferred
+ * @returns {object|null} baseURL, hash, pageFiles and dataSaver, or null if malformed
+ */
+function parseAtHomeServer(apiResponse, dataSaver) {
+  const baseURL = apiResponse?.baseUrl;
+  const chapter = apiResponse?.chapter;
+  if (typeof baseURL !== "string" || !baseURL || !chapter || !chapter.hash) {
+    return null;
+  }
+
+  const savedFiles = Array.isArray(chapter.dataSaver) ? chapter.dataSaver : [];
+  const fullFiles = Array.isArray(chapter.data) ? chapter.data : [];
+  const useDataSaver = dataSaver && savedFiles.length > 0;
+
+  return {
+    baseURL: baseURL.replace(/\/+$/, ""),
+    hash: chapter.hash,
+    pageFiles: useDataSaver ? savedFiles : fullFiles,
+    dataSaver: useDataSaver,
+  };
+}
+
+/**
+ * Picks a localized string, trying the preferred languages first
+ * @param {object} localized - Strings keyed by language code
+ * @param {string[]} languages - Language codes, most preferred first
+ * @returns {string} Best available string, or an empty string
+ */
+function pickLocalized(localized, languages) {
+  if (!localized || typeof localized !== "object") {
+    return "";
+  }
+  for (const lang of [...languages, "en"]) {
+    if (localized[lang]) {
+      return localized[lang];
+    }
+  }
+  return Object.values(localized).find(Boolean) || "";
+}
+
+/**
+ * Gets metadata for a manga series
+ * @param {string} seriesIdentifier - Manga ID
+ * @param {object} mango - Mango API object
+ * @returns {Promise<object>} Normalized series details
+ */
+exports.getSeriesDetails = async (seriesIdentifier, mango) => {
+  mango.log.info(`Fetching details for series: ${seriesIdentifier}`);
 
-    // Get timeout from config (in milliseconds) and convert to seconds
-    const timeoutMs = mango.config?.timeout || 20000;
-    const timeoutSec = timeoutMs / 1000;
+  try {
+    const url = `${API_BASE_URL}/manga/${seriesIdentifier}?includes[]=author&includes[]=artist&includes[]=cover_art`;
 
-    const response = await mango.http.get(url, { timeout: timeoutSec });
+    const response = await apiGet(url, mango);
 
     if (response.status !== 200) {
-      throw new Error(`Search failed: ${response.statusText}`);
+      throw new Error(`Failed to fetch series details: ${response.statusText}`);
     }
 
-    const apiResponse = response.data;
-    if (
-      !apiResponse ||
-      !apiResponse.data ||
-      !Array.isArray(apiResponse.data) ||
-      apiResponse.data.length === 0
-    ) {
-      mango.log.info("No results found");
-      return [];
+    const mangaData = response.data?.data;
+    if (!mangaData || !mangaData.attributes) {
+      throw new Error("Series details response has no manga data");
     }
 
-    // Build a map of cover art from included array for quick lookup
-    const coverArtMap = new Map();
-    if (apiResponse.included && Array.isArray(apiResponse.included)) {
-      for (const item of apiResponse.included) {
-        if (item.type === "cover_art" && item.id) {
-          const fileName =
-            item.attributes?.fileName || item.attributes?.file_name || "";
-          if (fileName) {
-            coverArtMap.set(item.id, fileName);
-          }
-        }
+    const attrs = mangaData.attributes;
+    const languages = getListConfig(mango, "languages", DEFAULT_LANGUAGES);
+
+    const relatedNames = (type) =>
+      (mangaData.relationships || [])
+        .filter((rel) => rel.type === type && rel.attributes?.name)
+        .map((rel) => rel.attributes.name);
+
+    const tagNames = (group) =>
+      (attrs.tags || [])
+        .filter((tag) => tag.attributes?.group === group)
+        .map((tag) => pickLocalized(tag.attributes.name, ["en"]))
+        .filter(Boolean);
+
+    const title = getMangaTitle(attrs, getTitleLanguages(mango));
+
+    const links = {};
+    for (const [key, value] of Object.entries(attrs.links || {})) {
+      if (value) {
+        links[EXTERNAL_LINK_NAMES[key] || key] = value;
       }
     }
 
-    const results = apiResponse.data
-      .filter((mangaData) => {
-        // Filter out invalid entries
-        return (
-          mangaData &&
-          mangaData.attributes &&
-          mangaData.attributes.title &&
-          mangaData.id
-        );
-      })
-      .map((mangaData) => {
-        // Get title (prefer English, fallback to first available)
-        let title = "";
-        if (
-          mangaData.attributes &&
-          mangaData.attributes.title &&
-          typeof mangaData.attributes.title === "object"
-        ) {
-          if (mangaData.attributes.title.en) {
-            title = mangaData.attributes.title.en;
-          } else {
-            const titleKeys = Object.keys(mangaData.attributes.title);
-            if (titleKeys.length > 0) {
-              title = mangaData.attributes.title[titleKeys[0]] || "";
-            }
-          }
-        }
+    const details = {
+      identifier: mangaData.id,
+      title: title || "Untitled",
+      description: pickLocalized(attrs.description, languages),
+      authors: relatedNames("author"),
+      artists: relatedNames("artist"),
+      genres: tagNames("genre"),
+      themes: tagNames("theme"),
+      status: attrs.status || "",
+      year: attrs.year || null,
+      original_language: attrs.originalLanguage || "",
+      original_title: getOriginalTitle(attrs),
+      alt_titles: getAltTitles(attrs, title),
+      links: links,
+      cover_url: buildCoverUrl(mangaData.id, findCoverFileName(mangaData)),
+    };
 
-        // Find cover art
-        let coverFileName = "";
-
-        // First, check if cover art is directly in relationships with attributes (legacy format)
-        for (const rel of mangaData.relationships || []) {
-          if (rel.type === "cover_art") {
-            if (rel.attributes?.fileName || rel.attributes?.file_name) {
-              coverFileName =
-                rel.attributes.fileName || rel.attributes.file_name;
-              break;
-            }
-            // If no attributes, try to find in included array by ID
-            if (rel.id && coverArtMap.has(rel.id)) {
-              coverFileName = coverArtMap.get(rel.id);
-              break;
-            }
-          }
-        }
+    mango.log.info(`Fetched details for: ${details.title}`);
+    return details;
+  } catch (error) {
+    mango.log.error(`GetSeriesDetails failed: ${error.message}`);
+    throw error;
+  }
+};
 
-        // Construct cover URL
-        let coverURL = "";
-        if (coverFileName && mangaData.id) {
-          // MangaDex cover art URLs are publicly accessible and don't require proxy
-          // Using direct URLs avoids rate limiting issues
-          coverURL = `${COVER_ART_BASE_URL}/covers/${mangaData.id}/${coverFileName}.256.jpg`;
-        }
+/**
+ * Formats a date the way MangaDex expects in *Since filters (no zone, no ms)
+ * @param {Date|string|number} value - Date to format
+ * @returns {string} Date formatted as YYYY-MM-DDTHH:MM:SS (UTC)
+ */
+function formatApiDate(value) {
+  const date = value instanceof Date ? value : new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid date: ${value}`);
+  }
+  return date.toISOString().slice(0, 19);
+}
 
-        return {
-          title: title || "Untitled",
-          cover_url: coverURL,
-          identifier: mangaData.id || "",
-        };
-      });
+/**
+ * Requests OAuth tokens from the MangaDex auth server
+ * @param {object} params - Grant parameters (grant_type and its fields)
+ * @param {object} mango - Mango API object
+ * @returns {Promise<object>} Stored token state
+ */
+async function requestTokens(params, mango) {
+  const body = Object.entries(params)
+    .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+    .join("&");
 
-    mango.log.info(`Found ${results.length} results`);
-    return results;
+  const response = await mango.http.post(AUTH_TOKEN_URL, body, {
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+  });
+
+  if (response.status !== 200 || !response.data?.access_token) {
+    const reason =
+      response.data?.error_description ||
+      response.data?.error ||
+      response.statusText;
+    throw new Error(`MangaDex login failed: ${reason}`);
+  }
+
+  const now = Date.now();
+  const tokens = response.data;
+  return {
+    access_token: tokens.access_token,
+    refresh_token: tokens.refresh_token || "",
+    expires_at: now + (tokens.expires_in || 0) * 1000,
+    refresh_expires_at: now + (tokens.refresh_expires_in || 0) * 1000,
+  };
+}
+
+/**
+ * Gets a valid access token for the configured personal API client
+ * Reuses the token kept in mango.state, refreshes it when it has expired and
+ * falls back to a password login when the refresh token is no longer valid
+ * @param {object} mango - Mango API object
+ * @returns {Promise<string>} Access token
+ */
+async function getAccessToken(mango) {
+  const config = mango.config || {};
+  const { client_id, client_secret, username, password } = config;
+  if (!client_id || !client_secret || !username || !password) {
+    throw new Error(
+      "MangaDex credentials are not configured (client_id, client_secret, username, password)"
+    );
+  }
+
+  const now = Date.now();
+  const stored = await mango.state.get(AUTH_STATE_KEY);
+  // Tokens belong to one account and client, ignore them if the config changed
+  const usable =
+    stored && stored.username === username && stored.client_id === client_id;
+
+  if (usable && stored.expires_at - TOKEN_EXPIRY_MARGIN_MS > now) {
+    return stored.access_token;
+  }
+
+  let tokens = null;
+  if (usable && stored.refresh_token && stored.refresh_expires_at > now) {
+    try {
+      mango.log.debug("Refreshing MangaDex access token");
+      tokens = await requestTokens(
+        {
+          grant_type: "refresh_token",
+          refresh_token: stored.refresh_token,
+          client_id,
+          client_secret,
+        },
+        mango
+      );
+    } catch (error) {
+      mango.log.warn(
+        `Token refresh failed, logging in again: ${error.message}`
+      );
+    }
+  }
+
+  if (!tokens) {
+    mango.log.info(`Logging in to MangaDex as ${username}`);
+    tokens = await requestTokens(
+      { grant_type: "password", username, password, client_id, client_secret },
+      mango
+    );
+  }
+
+  await mango.state.set(AUTH_STATE_KEY, { ...tokens, username, client_id });
+  return tokens.access_token;
+}
+
+/**
+ * Gets new chapters of the manga followed by the configured MangaDex account
+ * @param {object} mango - Mango API object
+ * @param {object} options - Feed options
+ * @param {Date|string|number} options.since - Only chapters updated after this date
+ * @returns {Promise<Array>} Chapter results, in the same shape as getChapters,
+ *   with series_identifier naming the manga of each chapter
+ */
+exports.getFollowedUpdates = async (mango, options = {}) => {
+  mango.log.info("Fetching followed manga updates");
+
+  try {
+    const accessToken = await getAccessToken(mango);
+
+    let feedUrl = `${API_BASE_URL}/user/follows/manga/feed`;
+    if (options.since) {
+      feedUrl += `?updatedAtSince=${formatApiDate(options.since)}`;
+    }
+
+    const chapters = await fetchChapterFeed(feedUrl, mango, {
+      order: "order[readableAt]=desc",
+      headers: { Authorization: `Bearer ${accessToken}` },
+    });
+
+    mango.log.info(`Found ${chapters.length} followed chapters`);
+    return chapters;
   } catch (error) {
-    mango.log.error(`Search failed: ${error.message}`);
+    mango.log.error(`GetFollowedUpdates failed: ${error.message}`);
     throw error;
   }
 };
 
 /**
- * Gets the list of chapters for a manga series
+ * Lists the cover art of every volume of a manga
  * @param {string} seriesIdentifier - Manga ID
  * @param {object} mango - Mango API object
+ * @returns {Promise<Array>} Covers in volume order, each with identifier,
+ *   volume, locale, description and the original, 512 and 256 pixel URLs
  */
-exports.getChapters = async (seriesIdentifier, mango) => {
-  mango.log.info(`Fetching chapters for series: ${seriesIdentifier}`);
+exports.getCovers = async (seriesIdentifier, mango) => {
+  mango.log.info(`Fetching covers for series: ${seriesIdentifier}`);
 
   try {
-    const allChapters = [];
+    const covers = [];
     let offset = 0;
-    const limit = 500;
-
-    // Get timeout from config (in milliseconds) and convert to seconds
-    const timeoutMs = mango.config?.timeout || 20000;
-    const timeoutSec = timeoutMs / 1000;
+    const limit = 100;
 
     while (true) {
-      const url = `${API_BASE_URL}/manga/${seriesIdentifier}/feed?limit=${limit}&offset=${offset}&order[volume]=desc&order[chapter]=desc&translatedLanguage[]=en`;
-      const response = await mango.http.get(url, { timeout: timeoutSec });
+      const url = `${API_BASE_URL}/cover?manga[]=${seriesIdentifier}&limit=${limit}&offset=${offset}&order[volume]=asc`;
+      const response = await apiGet(url, mango);
 
       if (response.status !== 200) {
-        throw new Error(`Failed to fetch chapters: ${response.statusText}`);
+        throw new Error(`Failed to fetch covers: ${response.statusText}`);
       }
 
       const apiResponse = response.data;
-      if (!apiResponse.data || apiResponse.data.length === 0) {
-        break;
-      }
+      const coverData = apiResponse?.data || [];
 
-      for (const chapterData of apiResponse.data) {
-        const attrs = chapterData.attributes;
-        const title = formatChapterTitle(attrs);
-
-        allChapters.push({
-          identifier: chapterData.id,
-          title: title,
-          volume: attrs.volume || "",
-          chapter: attrs.chapter || "",
-          pages: attrs.pages || 0,
-          language: attrs.translatedLanguage || "",
-          published_at: attrs.publishAt
-            ? new Date(attrs.publishAt).toISOString()
-            : "",
+      for (const cover of coverData) {
+        const fileName = cover.attributes?.fileName;
+        if (!fileName) continue;
+
+        covers.push({
+          identifier: cover.id,
+          volume: cover.attributes.volume || "",
+          locale: cover.attributes.locale || "",
+          description: cover.attributes.description || "",
+          cover_url: buildCoverUrl(seriesIdentifier, fileName, "original"),
+          cover_url_512: buildCoverUrl(seriesIdentifier, fileName, "512"),
+          cover_url_256: buildCoverUrl(seriesIdentifier, fileName, "256"),
         });
       }
 
-      if (apiResponse.data.length < limit) {
+      if (coverData.length < limit) {
         break; // No more pages
       }
       offset += limit;
     }
 
-    // Reverse to get ascending order (API returns descending)
-    allChapters.reverse();
-
-    mango.log.info(`Found ${allChapters.length} chapters`);
-    return allChapters;
+    mango.log.info(`Found ${covers.length} covers`);
+    return covers;
   } catch (error) {
-    mango.log.error(`GetChapters failed: ${error.message}`);
+    mango.log.error(`GetCovers failed: ${error.message}`);
     throw error;
   }
 };
 
 /**
- * Formats chapter title from attributes
- * @param {object} attrs - Chapter attributes
- * @returns {string} Formatted chapter title
+ * Lists the series related to a manga (sequels, prequels, spin-offs, ...)
+ * @param {string} seriesIdentifier - Manga ID
+ * @param {object} mango - Mango API object
+ * @returns {Promise<Array>} SearchResult objects with a relation field
+ *   (e.g. "sequel", "prequel", "side_story", "spin_off", "adapted_from")
  */
-function formatChapterTitle(attrs) {
-  const parts = [];
-  if (attrs.volume) {
-    parts.push(`Vol. ${attrs.volume}`);
-  }
-  if (attrs.chapter) {
-    parts.push(`Ch. ${attrs.chapter}`);
-  }
-  if (attrs.title) {
-    parts.push(attrs.title);
+exports.getRelatedSeries = async (seriesIdentifier, mango) => {
+  mango.log.info(`Fetching related series for: ${seriesIdentifier}`);
+
+  try {
+    const response = await apiGet(
+      `${API_BASE_URL}/manga/${seriesIdentifier}`,
+      mango
+    );
+
+    if (response.status !== 200) {
+      throw new Error(`Failed to fetch related series: ${response.statusText}`);
+    }
+
+    const relations = new Map();
+    for (const rel of response.data?.data?.relationships || []) {
+      if (rel.type === "manga" && rel.id && !relations.has(rel.id)) {
+        relations.set(rel.id, rel.related || "");
+      }
+    }
+
+    if (relations.size === 0) {
+      mango.log.info("No related series found");
+      return [];
+    }
+
+    const related = await fetchSearchResultsByIds(
+      [...relations.keys()],
+      mango,
+      getContentRatings(mango)
+    );
+    const results = related.map((result) => ({
+      ...result,
+      relation: relations.get(result.identifier),
+    }));
+
+    mango.log.info(`Found ${results.length} related series`);
+    return results;
+  } catch (error) {
+    mango.log.error(`GetRelatedSeries failed: ${error.message}`);
+    throw error;
   }
-  return parts.join(" ");
+};
+
+/**
+ * Resolves a browse list name to a public MangaDex custom list ID
+ * @param {string} listName - List UUID or mangadex.org/list/<uuid> link
+ * @returns {string|null} Lowercased list ID, or null
+ */
+function parseCustomListId(listName) {
+  const match = String(listName || "")
+    .trim()
+    .match(
+      new RegExp(
+        `^(?:(?:https?:\\/\\/)?(?:www\\.)?mangadex\\.org\\/list\\/)?(${UUID_PATTERN})(?:[/?#].*)?$`,
+        "i"
+      )
+    );
+  return match ? match[1].toLowerCase() : null;
 }
 
 /**
- * Gets the page URLs for a chapter
- * @param {string} chapterIdentifier - Chapter ID
+ * Lists manga from a browse list
+ * "popular" orders by follows, "recently_added" by creation date and
+ * "latest_updates" by latest uploaded chapter. A custom list UUID (or
+ * mangadex.org/list link) lists the manga of that public list.
+ * @param {string} listName - "popular", "recently_added", "latest_updates"
+ *   or a custom list UUID
  * @param {object} mango - Mango API object
+ * @param {object} options - Paging options
+ * @param {number} options.page - 1-based page number (default 1)
+ * @param {number} options.pageSize - Results per page (default 25, max 100)
+ * @returns {Promise<Array>} SearchResult objects of the page, like search
  */
-exports.getPageURLs = async (chapterIdentifier, mango) => {
-  mango.log.info(`Fetching page URLs for chapter: ${chapterIdentifier}`);
+exports.browse = async (listName, mango, options = {}) => {
+  mango.log.info(`Browsing MangaDex list: ${listName}`);
 
   try {
-    const url = `${API_BASE_URL}/at-home/server/${chapterIdentifier}`;
+    const { page, pageSize, limit, offset } = getPageWindow(options);
+    const contentRatings = getContentRatings(mango);
+
+    const listKey = String(listName || "")
+      .trim()
+      .toLowerCase();
+    const order = BROWSE_LISTS[listKey];
 
-    // Get timeout from config (in milliseconds) and convert to seconds
-    const timeoutMs = mango.config?.timeout || 20000;
-    const timeoutSec = timeoutMs / 1000;
+    if (order) {
+      if (limit === 0) {
+        mango.log.info(`Page ${page} is beyond the MangaDex result window`);
+        return [];
+      }
 
-    const response = await mango.http.get(url, { timeout: timeoutSec });
+      const response = await apiGet(
+        `${API_BASE_URL}/manga?limit=${limit}&offset=${offset}&includes[]=cover_art${buildContentRatingParams(contentRatings)}&order[${order}]=desc`,
+        mango
+      );
 
-    if (response.status !== 200) {
-      throw new Error(`Failed to fetch page URLs: ${response.statusText}`);
+      if (response.status !== 200) {
+        throw new Error(`Browse failed: ${response.statusText}`);
+      }
+
+      const results = toSearchResults(response.data, mango, contentRatings);
+      mango.log.info(`Found ${results.length} results`);
+      return results;
     }
 
-    const apiResponse = response.data;
-    const baseURL = apiResponse.baseUrl;
-    const hash = apiResponse.chapter.hash;
-    const pageFiles = apiResponse.chapter.data || [];
+    const listId = parseCustomListId(listName);
+    if (!listId) {
+      throw new Error(
+        `Unknown browse list "${listName}"; use ${Object.keys(BROWSE_LISTS).join(", ")} or a custom list ID`
+      );
+    }
 
-    // MangaDex requires Referer header when fetching images
-    // Use proxy URLs to include the necessary headers
-    const pageURLs = pageFiles.map((pageFile) => {
-      const imageUrl = `${baseURL}/data/${hash}/${pageFile}`;
-      return constructProxyUrl(imageUrl, {
-        referer: `${MANGA_DEX_BASE_URL}/`,
-      });
-    });
+    const response = await apiGet(`${API_BASE_URL}/list/${listId}`, mango);
 
-    mango.log.info(`Found ${pageURLs.length} pages (using proxy URLs)`);
-    return pageURLs;
+    if (response.status !== 200) {
+      throw new Error(`Failed to fetch custom list: ${response.statusText}`);
+    }
+
+    const mangaIds = (response.data?.data?.relationships || [])
+      .filter((rel) => rel.type === "manga" && rel.id)
+      .map((rel) => rel.id);
+    const pageIds = mangaIds.slice(
+      (page - 1) * pageSize,
+      (page - 1) * pageSize + pageSize
+    );
+
+    const results = await fetchSearchResultsByIds(
+      pageIds,
+      mango,
+      contentRatings
+    );
+    mango.log.info(`Found ${results.length} results`);
+    return results;
   } catch (error) {
-    mango.log.error(`GetPageURLs failed: ${error.message}`);
+    mango.log.error(`Browse failed: ${error.message}`);
     throw error;
   }
 };
-
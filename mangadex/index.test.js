@@ -5,7 +5,7 @@
  * Or: node --test index.test.js
  */
 
-const { test, describe } = require('node:test');
+const { test, describe, beforeEach, afterEach, mock } = require('node:test');
 const assert = require('node:assert');
 
 // Load the plugin
@@ -49,7 +49,54 @@ const createMockMango = (overrides = {}) => {
   return mockMango;
 };
 
+// In-memory replacement for mango.state. Values are stored as copies, like
+// the host's JSON-backed state, and the store is exposed for assertions.
+const createState = (initial = {}) => {
+  const store = { ...initial };
+  return {
+    store,
+    get: (key) => store[key],
+    set: (key, value) => {
+      store[key] = JSON.parse(JSON.stringify(value));
+    },
+    getAll: () => ({ ...store }),
+    clear: () => {
+      for (const key of Object.keys(store)) delete store[key];
+    }
+  };
+};
+
+// Mock mango whose http.get records every URL in requests and answers with
+// respond(url)
+const createRecordingMango = (respond, requests = [], overrides = {}) =>
+  createMockMango({
+    ...overrides,
+    http: {
+      get: async (url) => {
+        requests.push(url);
+        return respond(url);
+      }
+    }
+  });
+
 describe("MangaDex Plugin Tests", () => {
+  // Delays the plugin waited for. setTimeout is mocked to fire at once, so
+  // rate-limit waits and retry backoff don't slow the tests down.
+  let timerDelays = [];
+
+  beforeEach(() => {
+    timerDelays = [];
+    mock.method(globalThis, "setTimeout", (callback, ms) => {
+      timerDelays.push(ms);
+      callback();
+      return 0;
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
   describe("search", () => {
     test("returns search results for valid query", async () => {
       const mockResponse = {
@@ -282,8 +329,323 @@ describe("MangaDex Plugin Tests", () => {
         "Should keep only valid entries"
       );
     });
+
+    test("uses the configured thumbnail size", async () => {
+      const mockMango = createMockMango({
+        http: {
+          get: async () => ({
+            status: 200,
+            statusText: "OK",
+            data: {
+              data: [
+                {
+                  id: "manga-123",
+                  type: "manga",
+                  attributes: { title: { en: "Test Manga" } },
+                  relationships: [{ type: "cover_art", attributes: { fileName: "cover.jpg" } }]
+                }
+              ]
+            }
+          }),
+        },
+        config: { thumbnail_size: "512" },
+      });
+
+      const results = await plugin.search("test", mockMango);
+
+      assert.strictEqual(
+        results[0].cover_url,
+        "https://uploads.mangadex.org/covers/manga-123/cover.jpg.512.jpg"
+      );
+    });
+    test("sends plain queries unchanged", async () => {
+      const requestedUrls = [];
+      const mockMango = createMockMango({
+        http: {
+          get: async (url) => {
+            requestedUrls.push(url);
+            return { status: 200, statusText: "OK", data: { data: [] } };
+          },
+        },
+      });
+
+      await plugin.search("Re:Zero  kara", mockMango);
+
+      assert.strictEqual(requestedUrls.length, 1, "Should make one request");
+      assert.strictEqual(
+        requestedUrls[0],
+        "https://api.mangadex.org/manga?title=Re%3AZero%20%20kara&limit=25&includes[]=cover_art&contentRating[]=safe&contentRating[]=suggestive",
+        "Should keep the plain query URL"
+      );
+    });
+
+    test("maps filter tokens to API parameters", async () => {
+      const requestedUrls = [];
+      const mockMango = createMockMango({
+        http: {
+          get: async (url) => {
+            requestedUrls.push(url);
+            if (url.endsWith("/manga/tag")) {
+              return {
+                status: 200,
+                statusText: "OK",
+                data: {
+                  data: [
+                    { id: "tag-romance", attributes: { name: { en: "Romance" } } },
+                    {
+                      id: "tag-sol",
+                      attributes: { name: { en: "Slice of Life" } }
+                    }
+                  ]
+                }
+              };
+            }
+            return { status: 200, statusText: "OK", data: { data: [] } };
+          },
+        },
+      });
+
+      await plugin.search(
+        'tag:romance tag:slice-of-life status:completed demographic:Seinen rating:safe year:2019 office',
+        mockMango
+      );
+
+      const searchUrl = requestedUrls[requestedUrls.length - 1];
+      assert.ok(searchUrl.includes("title=office&"), "Should keep title text");
+      assert.ok(searchUrl.includes("includedTags[]=tag-romance"));
+      assert.ok(searchUrl.includes("includedTags[]=tag-sol"));
+      assert.ok(searchUrl.includes("status[]=completed"));
+      assert.ok(searchUrl.includes("publicationDemographic[]=seinen"));
+      assert.ok(searchUrl.includes("contentRating[]=safe"));
+      assert.ok(searchUrl.includes("year=2019"));
+    });
+
+    test("omits title when the query only has filters", async () => {
+      let requestedUrl = "";
+      const mockMango = createMockMango({
+        http: {
+          get: async (url) => {
+            requestedUrl = url;
+            return { status: 200, statusText: "OK", data: { data: [] } };
+          },
+        },
+      });
+
+      await plugin.search("status:ongoing", mockMango);
+
+      assert.ok(!requestedUrl.includes("title="), "Should not send title");
+      assert.ok(requestedUrl.includes("status[]=ongoing"));
+    });
+
+    test("rejects unknown tags and invalid filter values", async () => {
+      const mockMango = createMockMango({
+        http: {
+          get: async () => ({
+            status: 200,
+            statusText: "OK",
+            data: { data: [{ id: "tag-romance", attributes: { name: { en: "Romance" } } }] }
+          }),
+        },
+      });
+
+      await assert.rejects(
+        async () => await plugin.search("tag:nonexistent", mockMango),
+        /Unknown tag: nonexistent/
+      );
+      await assert.rejects(
+        async () => await plugin.search("status:finished", mockMango),
+        /Invalid status filter/
+      );
+      await assert.rejects(
+        async () => await plugin.search("year:19", mockMango),
+        /Invalid year filter/
+      );
+    });
+  });
+
+  describe("search by MangaDex link or UUID", () => {
+    const mangaId = "a1c7c817-4e59-43b7-9365-09675a149a6f";
+    const chapterId = "0b2c6cde-4a8f-4d55-9d3e-5c5b1a2c3d4e";
+
+    const createLookupMango = (requests) =>
+      createRecordingMango((url) => {
+        if (url.includes(`/manga/${mangaId}`)) {
+          return {
+            status: 200,
+            statusText: "OK",
+            data: {
+              data: {
+                id: mangaId,
+                type: "manga",
+                attributes: { title: { en: "One Piece" } },
+                relationships: [{ type: "cover_art", attributes: { fileName: "op.jpg" } }]
+              }
+            }
+          };
+        }
+        if (url.includes(`/chapter/${chapterId}`)) {
+          return {
+            status: 200,
+            statusText: "OK",
+            data: {
+              data: {
+                id: chapterId,
+                type: "chapter",
+                attributes: { chapter: "1" },
+                relationships: [{ id: mangaId, type: "manga" }]
+              }
+            }
+          };
+        }
+        return { status: 404, statusText: "Not Found", data: null };
+      }, requests);
+
+    test("returns the manga for a pasted title link", async () => {
+      const requests = [];
+      const results = await plugin.search(
+        `https://mangadex.org/title/${mangaId}/one-piece`,
+        createLookupMango(requests)
+      );
+
+      assert.strictEqual(requests.length, 1, "Should fetch the manga directly");
+      assert.ok(requests[0].includes("includes[]=cover_art"));
+      assert.strictEqual(results.length, 1);
+      assert.strictEqual(results[0].identifier, mangaId);
+      assert.strictEqual(results[0].title, "One Piece");
+      assert.ok(results[0].cover_url.includes(`${mangaId}/op.jpg`));
+    });
+
+    test("resolves chapter links through the manga relationship", async () => {
+      const requests = [];
+      const results = await plugin.search(
+        `mangadex.org/chapter/${chapterId}/1`,
+        createLookupMango(requests)
+      );
+
+      assert.ok(requests[0].includes(`/chapter/${chapterId}`));
+      assert.strictEqual(results.length, 1);
+      assert.strictEqual(results[0].identifier, mangaId);
+    });
+
+    test("accepts bare manga and chapter UUIDs", async () => {
+      const mangaResults = await plugin.search(mangaId.toUpperCase(), createLookupMango([]));
+      assert.strictEqual(mangaResults[0].identifier, mangaId);
+
+      const requests = [];
+      const chapterResults = await plugin.search(chapterId, createLookupMango(requests));
+      assert.strictEqual(requests.length, 3, "Should try manga, then chapter, then its manga");
+      assert.strictEqual(chapterResults[0].identifier, mangaId);
+    });
+
+    test("returns no results for an unknown UUID", async () => {
+      const results = await plugin.search(
+        "ffffffff-ffff-ffff-ffff-ffffffffffff",
+        createLookupMango([])
+      );
+
+      assert.deepStrictEqual(results, []);
+    });
   });
+  describe("search pagination", () => {
+    const mangaPage = (count, total) => ({
+      status: 200,
+      statusText: "OK",
+      data: {
+        data: Array.from({ length: count }, (_, i) => ({
+          id: `manga-${i}`,
+          type: "manga",
+          attributes: { title: { en: `Manga ${i}` } },
+          relationships: []
+        })),
+        total
+      }
+    });
+
+    test("maps page and pageSize to limit and offset", async () => {
+      let requestedUrl = "";
+      const mockMango = createMockMango({
+        http: {
+          get: async (url) => {
+            requestedUrl = url;
+            return mangaPage(40, 1234);
+          },
+        },
+      });
+
+      const page = await plugin.search("love", mockMango, { page: 3, pageSize: 40 });
+
+      assert.ok(requestedUrl.includes("limit=40"), "Should send page size");
+      assert.ok(requestedUrl.includes("offset=80"), "Should send offset");
+      assert.strictEqual(page.results.length, 40);
+      assert.strictEqual(page.total, 1234, "Should return total count");
+      assert.strictEqual(page.page, 3);
+      assert.strictEqual(page.page_size, 40);
+    });
+
+    test("keeps the two-argument call returning an array", async () => {
+      let requestedUrl = "";
+      const mockMango = createMockMango({
+        http: {
+          get: async (url) => {
+            requestedUrl = url;
+            return mangaPage(25, 1234);
+          },
+        },
+      });
+
+      const results = await plugin.search("love", mockMango);
+
+      assert.ok(Array.isArray(results), "Should return an array");
+      assert.ok(requestedUrl.includes("limit=25"));
+      assert.ok(!requestedUrl.includes("offset="), "Should not send offset");
+    });
+
+    test("stays within the 10,000 result window", async () => {
+      const requestedUrls = [];
+      const mockMango = createMockMango({
+        http: {
+          get: async (url) => {
+            requestedUrls.push(url);
+            return mangaPage(10, 50000);
+          },
+        },
+      });
+
+      const lastPage = await plugin.search("hero", mockMango, { page: 100, pageSize: 100 });
+      assert.ok(requestedUrls[0].includes("offset=9900"));
+      assert.ok(requestedUrls[0].includes("limit=100"));
+      assert.strictEqual(lastPage.total, 10000, "Should cap total to the window");
+
+      const beyond = await plugin.search("hero", mockMango, { page: 101, pageSize: 100 });
+      assert.ok(requestedUrls[1].includes("limit=1&offset=0"), "Should not request past the window");
+      assert.deepStrictEqual(beyond.results, []);
+      assert.strictEqual(beyond.total, 10000);
+
+      await plugin.search("hero", mockMango, { page: 2, pageSize: 500 });
+      assert.ok(requestedUrls[2].includes("limit=100"), "Should cap page size");
+      assert.ok(requestedUrls[2].includes("offset=100"));
+    });
 
+    test("reports the real total for pages beyond the result window", async () => {
+      const requestedUrls = [];
+      const mockMango = createMockMango({
+        http: {
+          get: async (url) => {
+            requestedUrls.push(url);
+            return mangaPage(1, 3);
+          },
+        },
+      });
+
+      const page = await plugin.search("rare title", mockMango, { page: 500, pageSize: 25 });
+
+      assert.strictEqual(requestedUrls.length, 1);
+      assert.ok(requestedUrls[0].includes("limit=1&offset=0"), requestedUrls[0]);
+      assert.deepStrictEqual(page.results, []);
+      assert.strictEqual(page.total, 3, "Should not report the whole window");
+      assert.strictEqual(page.page, 500);
+    });
+  });
   describe("getChapters", () => {
     test("returns chapter list for valid series", async () => {
       const mockResponse = {
@@ -532,107 +894,1772 @@ describe("MangaDex Plugin Tests", () => {
         "Should format title with all parts"
       );
     });
-  });
-
-  describe("getPageURLs", () => {
-    test("returns page URLs for valid chapter", async () => {
-      const mockResponse = {
-        status: 200,
-        statusText: "OK",
-        data: {
-          baseUrl: "https://s2.mangadex.org",
-          chapter: {
-            hash: "abc123",
-            data: ["page1.jpg", "page2.jpg", "page3.jpg"],
-          },
-        },
-      };
 
+    test("requests every configured language", async () => {
+      let requestedUrl = "";
       const mockMango = createMockMango({
         http: {
-          get: async () => mockResponse,
+          get: async (url) => {
+            requestedUrl = url;
+            return {
+              status: 200,
+              statusText: "OK",
+              data: {
+                data: [
+                  {
+                    id: "chapter-es",
+                    type: "chapter",
+                    attributes: {
+                      chapter: "1",
+                      pages: 20,
+                      translatedLanguage: "es-la",
+                      publishAt: "2024-01-01T00:00:00Z"
+                    }
+                  }
+                ]
+              }
+            };
+          },
         },
+        config: { languages: "es-la, pt-br" },
       });
 
-      const urls = await plugin.getPageURLs("chapter-123", mockMango);
+      const chapters = await plugin.getChapters("manga-123", mockMango);
 
-      assert.ok(Array.isArray(urls), "URLs should be an array");
-      assert.strictEqual(urls.length, 3, "Should return 3 page URLs");
-      // URLs are now proxy URLs, so check for proxy format
       assert.ok(
-        urls[0].includes("/api/proxy/resource"),
-        "Should use proxy URL format"
+        requestedUrl.includes("translatedLanguage[]=es-la"),
+        "Should request first language"
       );
-      // Hash and filename will be in the encoded URL parameter
-      const decodedUrl = decodeURIComponent(urls[0]);
-      assert.ok(decodedUrl.includes("abc123"), "Should include hash in URL");
       assert.ok(
-        decodedUrl.includes("page1.jpg"),
-        "Should include page filename"
+        requestedUrl.includes("translatedLanguage[]=pt-br"),
+        "Should request second language"
       );
       assert.ok(
-        urls[0].startsWith("http://") || urls[0].startsWith("https://"),
-        "Should be a full URL"
+        !requestedUrl.includes("translatedLanguage[]=en"),
+        "Should not request English when not configured"
+      );
+      assert.strictEqual(
+        chapters[0].language,
+        "es-la",
+        "Should use the chapter's translated language"
       );
     });
 
-    test("handles empty page list", async () => {
-      const mockResponse = {
-        status: 200,
-        statusText: "OK",
-        data: {
-          baseUrl: "https://s2.mangadex.org",
-          chapter: {
-            hash: "abc123",
-            data: []
-          }
+    test("falls back to secondary language only when preferred is missing", async () => {
+      const makeChapter = (id, chapter, language) => ({
+        id,
+        type: "chapter",
+        attributes: {
+          chapter,
+          pages: 20,
+          translatedLanguage: language,
+          publishAt: "2024-01-01T00:00:00Z"
         }
-      };
+      });
 
       const mockMango = createMockMango({
         http: {
-          get: async () => mockResponse,
+          get: async () => ({
+            status: 200,
+            statusText: "OK",
+            data: {
+              data: [
+                makeChapter("ch3-es", "3", "es"),
+                makeChapter("ch2-es", "2", "es"),
+                makeChapter("ch2-en", "2", "en"),
+                makeChapter("ch1-en", "1", "en")
+              ]
+            }
+          }),
         },
+        config: { languages: ["en", "es"], language_fallback: true },
       });
 
-      const urls = await plugin.getPageURLs("chapter-123", mockMango);
+      const chapters = await plugin.getChapters("manga-123", mockMango);
 
-      assert.ok(Array.isArray(urls), "URLs should be an array");
-      assert.strictEqual(urls.length, 0, "Should return empty array");
+      assert.deepStrictEqual(
+        chapters.map((ch) => ch.identifier),
+        ["ch1-en", "ch2-en", "ch3-es"],
+        "Should keep one chapter per number in the most preferred language"
+      );
     });
 
-    test("handles HTTP errors", async () => {
+    test("fills in scanlation group and collapses duplicate chapters", async () => {
+      const makeChapter = (id, chapter, pages, groupId, groupName) => ({
+        id,
+        type: "chapter",
+        attributes: {
+          chapter,
+          pages,
+          translatedLanguage: "en",
+          publishAt: "2024-01-01T00:00:00Z"
+        },
+        relationships: [
+          {
+            id: groupId,
+            type: "scanlation_group",
+            attributes: { name: groupName }
+          }
+        ]
+      });
+
+      let requestedUrl = "";
       const mockMango = createMockMango({
         http: {
-          get: async () => ({
-            status: 500,
-            statusText: "Internal Server Error",
-            data: null,
-          }),
+          get: async (url) => {
+            requestedUrl = url;
+            return {
+              status: 200,
+              statusText: "OK",
+              data: {
+                data: [
+                  makeChapter("ch2-a", "2", 20, "group-a", "Alpha Scans"),
+                  makeChapter("ch2-b", "2", 18, "group-b", "Beta Scans"),
+                  makeChapter("ch1-a", "1", 20, "group-a", "Alpha Scans"),
+                  makeChapter("ch1-b", "1", 25, "group-b", "Beta Scans"),
+                  makeChapter("ch1-c", "1", 30, "group-c", "Gamma Scans")
+                ]
+              }
+            };
+          },
+        },
+        config: {
+          preferred_groups: "beta scans, group-a",
+          blocked_groups: "group-c"
         },
       });
 
-      await assert.rejects(
-        async () => await plugin.getPageURLs("chapter-123", mockMango),
-        /Failed to fetch page URLs/,
-        "Should throw error for HTTP error status"
+      const chapters = await plugin.getChapters("manga-123", mockMango);
+
+      assert.ok(
+        requestedUrl.includes("includes[]=scanlation_group"),
+        "Should request scanlation groups"
+      );
+      assert.deepStrictEqual(
+        chapters.map((ch) => ch.identifier),
+        ["ch1-b", "ch2-b"],
+        "Should keep one upload per chapter from the preferred group"
+      );
+      assert.strictEqual(chapters[0].group_id, "group-b", "Should fill group_id");
+      assert.strictEqual(
+        chapters[0].group_name,
+        "Beta Scans",
+        "Should fill group name"
       );
     });
 
-    test("handles network errors", async () => {
+    test("keeps the upload with most pages when no group is preferred", async () => {
       const mockMango = createMockMango({
         http: {
-          get: async () => {
-            throw new Error("Network error");
-          },
+          get: async () => ({
+            status: 200,
+            statusText: "OK",
+            data: {
+              data: [
+                {
+                  id: "ch1-short",
+                  type: "chapter",
+                  attributes: { chapter: "1", pages: 10, translatedLanguage: "en" },
+                  relationships: [{ id: "group-a", type: "scanlation_group" }]
+                },
+                {
+                  id: "ch1-full",
+                  type: "chapter",
+                  attributes: { chapter: "1", pages: 22, translatedLanguage: "en" },
+                  relationships: [{ id: "group-b", type: "scanlation_group" }]
+                }
+              ]
+            }
+          }),
         },
       });
 
-      await assert.rejects(
-        async () => await plugin.getPageURLs("chapter-123", mockMango),
-        /Network error|GetPageURLs failed|Failed to fetch page URLs/,
-        "Should throw error for network failures"
-      );
+      const chapters = await plugin.getChapters("manga-123", mockMango);
+
+      assert.strictEqual(chapters.length, 1, "Should collapse duplicates");
+      assert.strictEqual(chapters[0].identifier, "ch1-full");
+    });
+  });
+
+  describe("external and unavailable chapters", () => {
+    const feed = {
+      status: 200,
+      statusText: "OK",
+      data: {
+        data: [
+          {
+            id: "ch3-unavailable",
+            type: "chapter",
+            attributes: { chapter: "3", pages: 0, translatedLanguage: "en", isUnavailable: true }
+          },
+          {
+            id: "ch2-mangaplus",
+            type: "chapter",
+            attributes: {
+              chapter: "2",
+              pages: 0,
+              translatedLanguage: "en",
+              externalUrl: "https://mangaplus.shueisha.co.jp/viewer/1000002"
+            }
+          },
+          {
+            id: "ch1",
+            type: "chapter",
+            attributes: { chapter: "1", pages: 20, translatedLanguage: "en" }
+          }
+        ]
+      }
+    };
+
+    test("marks external and unavailable chapters", async () => {
+      let requestedUrl = "";
+      const mockMango = createMockMango({
+        http: {
+          get: async (url) => {
+            requestedUrl = url;
+            return feed;
+          },
+        },
+      });
+
+      const chapters = await plugin.getChapters("manga-123", mockMango);
+
+      assert.ok(requestedUrl.includes("includeUnavailable=1"));
+      assert.strictEqual(chapters.length, 3, "Should keep them by default");
+      assert.strictEqual(chapters[0].external_url, "");
+      assert.strictEqual(chapters[0].unavailable, false);
+      assert.strictEqual(
+        chapters[1].external_url,
+        "https://mangaplus.shueisha.co.jp/viewer/1000002"
+      );
+      assert.strictEqual(chapters[2].unavailable, true);
+    });
+
+    test("hides them when configured", async () => {
+      let requestedUrl = "";
+      const mockMango = createMockMango({
+        http: {
+          get: async (url) => {
+            requestedUrl = url;
+            return feed;
+          },
+        },
+        config: { hide_external_chapters: true, hide_unavailable_chapters: true },
+      });
+
+      const chapters = await plugin.getChapters("manga-123", mockMango);
+
+      assert.ok(requestedUrl.includes("includeExternalUrl=0"));
+      assert.ok(requestedUrl.includes("includeUnavailable=0"));
+      assert.deepStrictEqual(chapters.map((ch) => ch.identifier), ["ch1"]);
+    });
+
+    test("prefers a downloadable upload over an external one", async () => {
+      const mockMango = createMockMango({
+        http: {
+          get: async () => ({
+            status: 200,
+            statusText: "OK",
+            data: {
+              data: [
+                {
+                  id: "ch1-official",
+                  type: "chapter",
+                  attributes: {
+                    chapter: "1",
+                    pages: 0,
+                    translatedLanguage: "en",
+                    externalUrl: "https://mangaplus.shueisha.co.jp/viewer/1"
+                  },
+                  relationships: [{ id: "official", type: "scanlation_group" }]
+                },
+                {
+                  id: "ch1-scan",
+                  type: "chapter",
+                  attributes: { chapter: "1", pages: 18, translatedLanguage: "en" },
+                  relationships: [{ id: "fan-group", type: "scanlation_group" }]
+                }
+              ]
+            }
+          }),
+        },
+        config: { preferred_groups: "official" },
+      });
+
+      const chapters = await plugin.getChapters("manga-123", mockMango);
+
+      assert.deepStrictEqual(chapters.map((ch) => ch.identifier), ["ch1-scan"]);
+    });
+
+    test("getPageURLs throws a typed error naming the external host", async () => {
+      const mockMango = createMockMango({
+        http: {
+          get: async (url) => {
+            if (url.includes("/chapter/ch2-mangaplus")) {
+              return { status: 200, statusText: "OK", data: { data: feed.data.data[1] } };
+            }
+            return {
+              status: 200,
+              statusText: "OK",
+              data: { baseUrl: "https://uploads.mangadex.org", chapter: { hash: "abc123", data: [] } }
+            };
+          },
+        },
+      });
+
+      await assert.rejects(
+        async () => await plugin.getPageURLs("ch2-mangaplus", mockMango),
+        (error) => {
+          assert.ok(error instanceof plugin.ExternalChapterError);
+          assert.strictEqual(error.code, "EXTERNAL_CHAPTER");
+          assert.strictEqual(error.host, "mangaplus.shueisha.co.jp");
+          assert.match(error.message, /hosted externally on mangaplus\.shueisha\.co\.jp/);
+          return true;
+        }
+      );
+    });
+
+    test("getPageURLs throws a typed error for unavailable chapters", async () => {
+      const mockMango = createMockMango({
+        http: {
+          get: async (url) => {
+            if (url.includes("/chapter/ch3-unavailable")) {
+              return { status: 200, statusText: "OK", data: { data: feed.data.data[0] } };
+            }
+            return { status: 404, statusText: "Not Found", data: null };
+          },
+        },
+      });
+
+      await assert.rejects(
+        async () => await plugin.getPageURLs("ch3-unavailable", mockMango),
+        (error) => {
+          assert.ok(error instanceof plugin.UnavailableChapterError);
+          assert.strictEqual(error.code, "UNAVAILABLE_CHAPTER");
+          return true;
+        }
+      );
+    });
+  });
+  describe("getPageURLs", () => {
+    test("returns page URLs for valid chapter", async () => {
+      const mockResponse = {
+        status: 200,
+        statusText: "OK",
+        data: {
+          baseUrl: "https://s2.mangadex.org",
+          chapter: {
+            hash: "abc123",
+            data: ["page1.jpg", "page2.jpg", "page3.jpg"],
+          },
+        },
+      };
+
+      const mockMango = createMockMango({
+        http: {
+          get: async () => mockResponse,
+        },
+      });
+
+      const urls = await plugin.getPageURLs("chapter-123", mockMango);
+
+      assert.ok(Array.isArray(urls), "URLs should be an array");
+      assert.strictEqual(urls.length, 3, "Should return 3 page URLs");
+      // URLs are now proxy URLs, so check for proxy format
+      assert.ok(
+        urls[0].includes("/api/proxy/resource"),
+        "Should use proxy URL format"
+      );
+      // Hash and filename will be in the encoded URL parameter
+      const decodedUrl = decodeURIComponent(urls[0]);
+      assert.ok(decodedUrl.includes("abc123"), "Should include hash in URL");
+      assert.ok(
+        decodedUrl.includes("page1.jpg"),
+        "Should include page filename"
+      );
+      assert.ok(
+        urls[0].startsWith("http://") || urls[0].startsWith("https://"),
+        "Should be a full URL"
+      );
+    });
+
+    test("handles empty page list", async () => {
+      const mockResponse = {
+        status: 200,
+        statusText: "OK",
+        data: {
+          baseUrl: "https://s2.mangadex.org",
+          chapter: {
+            hash: "abc123",
+            data: []
+          }
+        }
+      };
+
+      const mockMango = createMockMango({
+        http: {
+          get: async () => mockResponse,
+        },
+      });
+
+      const urls = await plugin.getPageURLs("chapter-123", mockMango);
+
+      assert.ok(Array.isArray(urls), "URLs should be an array");
+      assert.strictEqual(urls.length, 0, "Should return empty array");
+    });
+
+    test("uses data-saver pages when configured", async () => {
+      let requestedUrl = "";
+      const mockMango = createMockMango({
+        http: {
+          get: async (url) => {
+            requestedUrl = url;
+            return {
+              status: 200,
+              statusText: "OK",
+              data: {
+                baseUrl: "https://s2.mangadex.org",
+                chapter: {
+                  hash: "abc123",
+                  data: ["page1.png"],
+                  dataSaver: ["page1.jpg"]
+                }
+              }
+            };
+          },
+        },
+        config: { data_saver: true, force_port_443: true },
+      });
+
+      const urls = await plugin.getPageURLs("chapter-123", mockMango);
+
+      assert.ok(
+        requestedUrl.endsWith("/at-home/server/chapter-123?forcePort443=true"),
+        "Should force port 443"
+      );
+      const decodedUrl = decodeURIComponent(urls[0]);
+      assert.ok(
+        decodedUrl.includes("https://s2.mangadex.org/data-saver/abc123/page1.jpg"),
+        "Should use data-saver path and files"
+      );
+    });
+
+    test("retries when the at-home response is malformed", async () => {
+      let callCount = 0;
+      const mockMango = createMockMango({
+        http: {
+          get: async () => {
+            callCount++;
+            if (callCount === 1) {
+              return { status: 200, statusText: "OK", data: { result: "ok" } };
+            }
+            return {
+              status: 200,
+              statusText: "OK",
+              data: {
+                baseUrl: "https://node2.mangadex.network",
+                chapter: { hash: "abc123", data: ["page1.jpg"] }
+              }
+            };
+          },
+        },
+      });
+
+      const urls = await plugin.getPageURLs("chapter-123", mockMango);
+
+      assert.strictEqual(callCount, 2, "Should request a second node");
+      assert.strictEqual(urls.length, 1, "Should return pages from second node");
+      assert.ok(decodeURIComponent(urls[0]).includes("node2.mangadex.network"));
+    });
+
+    test("fails after repeated malformed at-home responses", async () => {
+      let callCount = 0;
+      const mockMango = createMockMango({
+        http: {
+          get: async () => {
+            callCount++;
+            return { status: 200, statusText: "OK", data: { baseUrl: "" } };
+          },
+        },
+      });
+
+      await assert.rejects(
+        async () => await plugin.getPageURLs("chapter-123", mockMango),
+        /malformed at-home server response/
+      );
+      assert.strictEqual(callCount, 3, "Should give up after 3 attempts");
+    });
+    test("handles HTTP errors", async () => {
+      const mockMango = createMockMango({
+        http: {
+          get: async () => ({
+            status: 500,
+            statusText: "Internal Server Error",
+            data: null,
+          }),
+        },
+      });
+
+      await assert.rejects(
+        async () => await plugin.getPageURLs("chapter-123", mockMango),
+        /Failed to fetch page URLs/,
+        "Should throw error for HTTP error status"
+      );
+    });
+
+    test("handles network errors", async () => {
+      const mockMango = createMockMango({
+        http: {
+          get: async () => {
+            throw new Error("Network error");
+          },
+        },
+      });
+
+      await assert.rejects(
+        async () => await plugin.getPageURLs("chapter-123", mockMango),
+        /Network error|GetPageURLs failed|Failed to fetch page URLs/,
+        "Should throw error for network failures"
+      );
+    });
+  });
+
+  describe("getSeriesDetails", () => {
+    const detailsResponse = {
+      status: 200,
+      statusText: "OK",
+      data: {
+        data: {
+          id: "manga-123",
+          type: "manga",
+          attributes: {
+            title: { en: "Test Manga" },
+            altTitles: [{ ja: "テスト漫画" }, { "ja-ro": "Tesuto Manga" }],
+            description: { en: "English description", es: "Descripción" },
+            links: { al: "12345", mal: "67890", raw: "https://example.com" },
+            originalLanguage: "ja",
+            status: "completed",
+            year: 2019,
+            tags: [
+              {
+                id: "tag-1",
+                attributes: { name: { en: "Romance" }, group: "genre" }
+              },
+              {
+                id: "tag-2",
+                attributes: { name: { en: "School Life" }, group: "theme" }
+              },
+              {
+                id: "tag-3",
+                attributes: { name: { en: "Long Strip" }, group: "format" }
+              }
+            ]
+          },
+          relationships: [
+            { id: "author-1", type: "author", attributes: { name: "Author A" } },
+            { id: "artist-1", type: "artist", attributes: { name: "Artist B" } },
+            {
+              id: "cover-1",
+              type: "cover_art",
+              attributes: { fileName: "cover.jpg" }
+            }
+          ]
+        }
+      }
+    };
+
+    test("returns normalized series details", async () => {
+      let requestedUrl = "";
+      const mockMango = createMockMango({
+        http: {
+          get: async (url) => {
+            requestedUrl = url;
+            return detailsResponse;
+          },
+        },
+      });
+
+      const details = await plugin.getSeriesDetails("manga-123", mockMango);
+
+      assert.ok(requestedUrl.includes("/manga/manga-123?"));
+      assert.ok(requestedUrl.includes("includes[]=author"));
+      assert.ok(requestedUrl.includes("includes[]=artist"));
+      assert.ok(requestedUrl.includes("includes[]=cover_art"));
+      assert.strictEqual(details.title, "Test Manga");
+      assert.strictEqual(details.description, "English description");
+      assert.deepStrictEqual(details.authors, ["Author A"]);
+      assert.deepStrictEqual(details.artists, ["Artist B"]);
+      assert.deepStrictEqual(details.genres, ["Romance"]);
+      assert.deepStrictEqual(details.themes, ["School Life"]);
+      assert.strictEqual(details.status, "completed");
+      assert.strictEqual(details.year, 2019);
+      assert.strictEqual(details.original_language, "ja");
+      assert.deepStrictEqual(details.alt_titles, ["テスト漫画", "Tesuto Manga"]);
+      assert.deepStrictEqual(details.links, {
+        anilist: "12345",
+        myanimelist: "67890",
+        raw: "https://example.com"
+      });
+      assert.ok(details.cover_url.includes("manga-123/cover.jpg"));
+    });
+
+    test("uses the preferred language for the description", async () => {
+      const mockMango = createMockMango({
+        http: {
+          get: async () => detailsResponse,
+        },
+        config: { languages: "es,en" },
+      });
+
+      const details = await plugin.getSeriesDetails("manga-123", mockMango);
+
+      assert.strictEqual(details.description, "Descripción");
+    });
+
+    test("handles API errors", async () => {
+      const mockMango = createMockMango({
+        http: {
+          get: async () => ({
+            status: 404,
+            statusText: "Not Found",
+            data: null,
+          }),
+        },
+      });
+
+      await assert.rejects(
+        async () => await plugin.getSeriesDetails("missing", mockMango),
+        /Failed to fetch series details/
+      );
+    });
+  });
+
+  describe("rate limiting and retries", () => {
+    // Returns an http.get mock that plays back the given responses in order
+    const scriptedGet = (responses, requests = []) => async (url) => {
+      requests.push(url);
+      const response = responses[Math.min(requests.length, responses.length) - 1];
+      return { statusText: "", headers: {}, ...response };
+    };
+
+    const chapterPage = (ids) => ({
+      status: 200,
+      statusText: "OK",
+      data: {
+        data: ids.map((id) => ({
+          id: `chapter-${id}`,
+          type: "chapter",
+          attributes: { chapter: String(id), pages: 20, translatedLanguage: "en" }
+        }))
+      }
+    });
+
+    test("waits for Retry-After on 429 and retries", async () => {
+      const requests = [];
+      const mockMango = createMockMango({
+        http: {
+          get: scriptedGet(
+            [
+              { status: 429, statusText: "Too Many Requests", headers: { "Retry-After": "3" } },
+              chapterPage([1])
+            ],
+            requests
+          ),
+        },
+      });
+
+      const chapters = await plugin.getChapters("manga-123", mockMango);
+
+      assert.strictEqual(requests.length, 2, "Should retry once");
+      assert.deepStrictEqual(timerDelays, [3000], "Should wait for Retry-After");
+      assert.strictEqual(chapters.length, 1);
+    });
+
+    test("uses X-RateLimit-Retry-After timestamp on 429", async () => {
+      const retryAt = Math.floor(Date.now() / 1000) + 10;
+      const mockMango = createMockMango({
+        http: {
+          get: scriptedGet([
+            {
+              status: 429,
+              headers: { "X-Ratelimit-Remaining": "0", "X-Ratelimit-Retry-After": String(retryAt) }
+            },
+            chapterPage([1])
+          ]),
+        },
+      });
+
+      await plugin.getChapters("manga-123", mockMango);
+
+      assert.strictEqual(timerDelays.length, 1, "Should wait once");
+      assert.ok(
+        timerDelays[0] > 8000 && timerDelays[0] <= 10000,
+        `Should wait until the retry timestamp (waited ${timerDelays[0]}ms)`
+      );
+    });
+
+    test("waits before the next request when no requests remain", async () => {
+      const mockMango = createMockMango({
+        http: {
+          get: scriptedGet([
+            {
+              ...chapterPage([1]),
+              headers: { "x-ratelimit-remaining": "0", "retry-after": "2" }
+            }
+          ]),
+        },
+      });
+
+      const chapters = await plugin.getChapters("manga-123", mockMango);
+
+      assert.deepStrictEqual(timerDelays, [2000], "Should pause for the rate limit window");
+      assert.strictEqual(chapters.length, 1);
+    });
+
+    test("backs off exponentially on 5xx responses", async () => {
+      const requests = [];
+      const mockMango = createMockMango({
+        http: {
+          get: scriptedGet(
+            [
+              { status: 502, statusText: "Bad Gateway" },
+              { status: 503, statusText: "Service Unavailable" },
+              { status: 500, statusText: "Internal Server Error" },
+              chapterPage([1])
+            ],
+            requests
+          ),
+        },
+      });
+
+      const chapters = await plugin.getChapters("manga-123", mockMango);
+
+      assert.strictEqual(requests.length, 4);
+      assert.deepStrictEqual(timerDelays, [1000, 2000, 4000]);
+      assert.strictEqual(chapters.length, 1);
+    });
+
+    test("gives up after the configured number of attempts", async () => {
+      const requests = [];
+      const mockMango = createMockMango({
+        http: {
+          get: scriptedGet(
+            [{ status: 503, statusText: "Service Unavailable" }],
+            requests
+          ),
+        },
+        config: { max_attempts: 2 },
+      });
+
+      await assert.rejects(
+        async () => await plugin.getChapters("manga-123", mockMango),
+        /Failed to fetch chapters: Service Unavailable/
+      );
+      assert.strictEqual(requests.length, 2, "Should stop after 2 attempts");
+    });
+
+    test("resumes pagination after a 429 mid-feed", async () => {
+      const firstPage = [];
+      for (let i = 500; i >= 1; i--) firstPage.push(i);
+      const requests = [];
+      const mockMango = createMockMango({
+        http: {
+          get: scriptedGet(
+            [
+              chapterPage(firstPage),
+              { status: 429, headers: { "Retry-After": "1" } },
+              chapterPage([501])
+            ],
+            requests
+          ),
+        },
+      });
+
+      const chapters = await plugin.getChapters("manga-123", mockMango);
+
+      assert.strictEqual(requests.length, 3);
+      assert.ok(requests[1].includes("offset=500"));
+      assert.strictEqual(requests[2], requests[1], "Should retry the same page");
+      assert.strictEqual(chapters.length, 501);
+    });
+
+    test("does not retry client errors", async () => {
+      const requests = [];
+      const mockMango = createMockMango({
+        http: {
+          get: scriptedGet([{ status: 404, statusText: "Not Found" }], requests),
+        },
+      });
+
+      await assert.rejects(
+        async () => await plugin.getPageURLs("chapter-123", mockMango),
+        /Failed to fetch page URLs/
+      );
+      assert.strictEqual(
+        requests.filter((url) => url.includes("/at-home/")).length,
+        1
+      );
+    });
+  });
+
+  describe("getFollowedUpdates", () => {
+    const credentials = {
+      client_id: "personal-client-abc",
+      client_secret: "secret",
+      username: "reader",
+      password: "hunter2"
+    };
+
+    const tokenResponse = (accessToken) => ({
+      status: 200,
+      statusText: "OK",
+      data: {
+        access_token: accessToken,
+        refresh_token: `refresh-${accessToken}`,
+        expires_in: 900,
+        refresh_expires_in: 2592000
+      }
+    });
+
+    const followedFeed = {
+      status: 200,
+      statusText: "OK",
+      data: {
+        data: [
+          {
+            id: "chapter-b",
+            type: "chapter",
+            attributes: { chapter: "5", pages: 20, translatedLanguage: "en" },
+            relationships: [{ id: "manga-b", type: "manga" }]
+          },
+          {
+            id: "chapter-a",
+            type: "chapter",
+            attributes: { chapter: "5", pages: 20, translatedLanguage: "en" },
+            relationships: [{ id: "manga-a", type: "manga" }]
+          }
+        ]
+      }
+    };
+
+    test("logs in with the password grant and fetches the follows feed", async () => {
+      const state = createState();
+      const posts = [];
+      const gets = [];
+      const mockMango = createMockMango({
+        http: {
+          post: async (url, body, options) => {
+            posts.push({ url, body, options });
+            return tokenResponse("access-1");
+          },
+          get: async (url, options) => {
+            gets.push({ url, options });
+            return followedFeed;
+          },
+        },
+        config: credentials,
+        state,
+      });
+
+      const chapters = await plugin.getFollowedUpdates(mockMango, {
+        since: new Date("2024-03-01T12:30:00.000Z")
+      });
+
+      assert.strictEqual(posts.length, 1, "Should log in once");
+      assert.ok(posts[0].url.includes("auth.mangadex.org"));
+      assert.ok(posts[0].body.includes("grant_type=password"));
+      assert.ok(posts[0].body.includes("username=reader"));
+      assert.ok(posts[0].body.includes("client_id=personal-client-abc"));
+      assert.strictEqual(state.store.auth.access_token, "access-1");
+      assert.strictEqual(state.store.auth.refresh_token, "refresh-access-1");
+
+      assert.ok(gets[0].url.includes("/user/follows/manga/feed?"));
+      assert.ok(gets[0].url.includes("updatedAtSince=2024-03-01T12:30:00"));
+      assert.ok(!gets[0].url.includes("12:30:00.000"), "Should drop milliseconds");
+      assert.strictEqual(
+        gets[0].options.headers.Authorization,
+        "Bearer access-1"
+      );
+
+      assert.strictEqual(chapters.length, 2, "Should keep same chapter of different series");
+      assert.strictEqual(chapters[0].identifier, "chapter-a");
+      assert.strictEqual(chapters[0].series_identifier, "manga-a");
+      assert.strictEqual(chapters[0].title, "Ch. 5");
+    });
+
+    test("reuses a stored access token", async () => {
+      const state = createState({
+        auth: {
+          access_token: "stored-access",
+          refresh_token: "stored-refresh",
+          expires_at: Date.now() + 600000,
+          refresh_expires_at: Date.now() + 600000,
+          username: "reader",
+          client_id: "personal-client-abc"
+        }
+      });
+      let authorization = "";
+      const mockMango = createMockMango({
+        http: {
+          get: async (url, options) => {
+            authorization = options.headers.Authorization;
+            return followedFeed;
+          },
+        },
+        config: credentials,
+        state,
+      });
+
+      await plugin.getFollowedUpdates(mockMango);
+
+      assert.strictEqual(authorization, "Bearer stored-access");
+    });
+
+    test("refreshes an expired access token", async () => {
+      const state = createState({
+        auth: {
+          access_token: "old-access",
+          refresh_token: "stored-refresh",
+          expires_at: Date.now() - 1000,
+          refresh_expires_at: Date.now() + 600000,
+          username: "reader",
+          client_id: "personal-client-abc"
+        }
+      });
+      const bodies = [];
+      const mockMango = createMockMango({
+        http: {
+          post: async (url, body) => {
+            bodies.push(body);
+            return tokenResponse("new-access");
+          },
+          get: async () => followedFeed,
+        },
+        config: credentials,
+        state,
+      });
+
+      await plugin.getFollowedUpdates(mockMango);
+
+      assert.strictEqual(bodies.length, 1);
+      assert.ok(bodies[0].includes("grant_type=refresh_token"));
+      assert.ok(bodies[0].includes("refresh_token=stored-refresh"));
+      assert.strictEqual(state.store.auth.access_token, "new-access");
+    });
+
+    test("logs in again when the refresh token is rejected", async () => {
+      const state = createState({
+        auth: {
+          access_token: "old-access",
+          refresh_token: "revoked-refresh",
+          expires_at: Date.now() - 1000,
+          refresh_expires_at: Date.now() + 600000,
+          username: "reader",
+          client_id: "personal-client-abc"
+        }
+      });
+      const grants = [];
+      const mockMango = createMockMango({
+        http: {
+          post: async (url, body) => {
+            grants.push(body.match(/grant_type=(\w+)/)[1]);
+            if (body.includes("refresh_token=revoked-refresh")) {
+              return {
+                status: 400,
+                statusText: "Bad Request",
+                data: { error: "invalid_grant", error_description: "Token is not active" }
+              };
+            }
+            return tokenResponse("fresh-access");
+          },
+          get: async () => followedFeed,
+        },
+        config: credentials,
+        state,
+      });
+
+      await plugin.getFollowedUpdates(mockMango);
+
+      assert.deepStrictEqual(grants, ["refresh_token", "password"]);
+      assert.strictEqual(state.store.auth.access_token, "fresh-access");
+    });
+
+    test("reports failed logins", async () => {
+      const mockMango = createMockMango({
+        http: {
+          post: async () => ({
+            status: 401,
+            statusText: "Unauthorized",
+            data: { error: "invalid_grant", error_description: "Invalid user credentials" }
+          }),
+        },
+        config: credentials,
+      });
+
+      await assert.rejects(
+        async () => await plugin.getFollowedUpdates(mockMango),
+        /MangaDex login failed: Invalid user credentials/
+      );
+    });
+
+    test("requires credentials", async () => {
+      const mockMango = createMockMango();
+
+      await assert.rejects(
+        async () => await plugin.getFollowedUpdates(mockMango),
+        /MangaDex credentials are not configured/
+      );
+    });
+  });
+
+  describe("getCovers", () => {
+    test("returns every volume cover with size variants and locale", async () => {
+      const requestedUrls = [];
+      const firstPage = Array.from({ length: 100 }, (_, i) => ({
+        id: `cover-${i + 1}`,
+        type: "cover_art",
+        attributes: { volume: String(i + 1), fileName: `vol${i + 1}.jpg`, locale: "ja" }
+      }));
+      const mockMango = createMockMango({
+        http: {
+          get: async (url) => {
+            requestedUrls.push(url);
+            const data = url.includes("offset=0")
+              ? firstPage
+              : [
+                  {
+                    id: "cover-en",
+                    type: "cover_art",
+                    attributes: { volume: "1", fileName: "en1.png", locale: "en", description: "English edition" }
+                  },
+                  { id: "cover-broken", type: "cover_art", attributes: {} }
+                ];
+            return { status: 200, statusText: "OK", data: { data, total: 102 } };
+          },
+        },
+      });
+
+      const covers = await plugin.getCovers("manga-123", mockMango);
+
+      assert.ok(requestedUrls[0].includes("/cover?manga[]=manga-123"));
+      assert.ok(requestedUrls[1].includes("offset=100"), "Should fetch the next page");
+      assert.strictEqual(covers.length, 101, "Should skip covers without a file");
+      assert.strictEqual(covers[0].volume, "1");
+      assert.strictEqual(covers[0].locale, "ja");
+      const english = covers[100];
+      assert.strictEqual(english.locale, "en");
+      assert.strictEqual(english.description, "English edition");
+      assert.strictEqual(
+        english.cover_url,
+        "https://uploads.mangadex.org/covers/manga-123/en1.png"
+      );
+      assert.strictEqual(
+        english.cover_url_512,
+        "https://uploads.mangadex.org/covers/manga-123/en1.png.512.jpg"
+      );
+      assert.strictEqual(
+        english.cover_url_256,
+        "https://uploads.mangadex.org/covers/manga-123/en1.png.256.jpg"
+      );
+    });
+
+    test("handles API errors", async () => {
+      const mockMango = createMockMango({
+        http: {
+          get: async () => ({ status: 400, statusText: "Bad Request", data: null }),
+        },
+      });
+
+      await assert.rejects(
+        async () => await plugin.getCovers("manga-123", mockMango),
+        /Failed to fetch covers/
+      );
+    });
+  });
+
+  describe("incremental chapter sync", () => {
+    const feedResponse = (chapters) => ({
+      status: 200,
+      statusText: "OK",
+      data: {
+        data: chapters.map(([id, chapter, title, volume]) => ({
+          id,
+          type: "chapter",
+          attributes: { volume, chapter, title, pages: 20, translatedLanguage: "en" },
+          relationships: [{ id: `group-${id}`, type: "scanlation_group" }]
+        }))
+      }
+    });
+
+    test("fetches only updates after the first sync and merges them", async () => {
+      const state = createState();
+      const requests = [];
+      let responses = [feedResponse([["ch2", "2"], ["ch1", "1"]])];
+      const mockMango = createMockMango({
+        http: {
+          get: async (url) => {
+            requests.push(url);
+            return responses.shift();
+          },
+        },
+        state,
+      });
+
+      const first = await plugin.getChapters("manga-123", mockMango);
+      assert.deepStrictEqual(first.map((ch) => ch.identifier), ["ch1", "ch2"]);
+      assert.ok(!requests[0].includes("updatedAtSince"), "First sync is full");
+      const saved = state.store["chapters:manga-123"];
+      assert.strictEqual(saved.entries.length, 2, "Should save the chapter set");
+      assert.ok(saved.synced_at, "Should save the sync time");
+
+      responses = [feedResponse([["ch3", "3"], ["ch1", "1", "Renamed"]])];
+      const second = await plugin.getChapters("manga-123", mockMango);
+
+      assert.strictEqual(requests.length, 2);
+      const since = requests[1].match(/updatedAtSince=([^&]+)/);
+      assert.ok(since, "Should query updates only");
+      assert.match(since[1], /^\d{4}-\d\d-\d\dT\d\d:\d\d:\d\d$/);
+      assert.deepStrictEqual(second.map((ch) => ch.identifier), ["ch1", "ch2", "ch3"]);
+      assert.strictEqual(second[0].title, "Ch. 1 Renamed", "Should apply updates");
+      assert.strictEqual(second[0].groups, undefined, "Should not expose groups");
+    });
+
+    test("keeps the full sync order when merging chapters without a volume", async () => {
+      const state = createState();
+      // Volume-descending feed order: chapters without a volume come first
+      let responses = [
+        feedResponse([
+          ["ch4", "4", "", null],
+          ["ch3", "3", "", "2"],
+          ["ch2", "2", "", "1"],
+          ["ch1", "1", "", "1"]
+        ])
+      ];
+      const mockMango = createMockMango({
+        http: { get: async () => responses.shift() },
+        state,
+      });
+
+      const first = await plugin.getChapters("manga-123", mockMango);
+      assert.deepStrictEqual(first.map((ch) => ch.chapter), ["1", "2", "3", "4"]);
+
+      responses = [feedResponse([["ch5", "5", "", null]])];
+      const second = await plugin.getChapters("manga-123", mockMango);
+
+      assert.deepStrictEqual(
+        second.map((ch) => ch.chapter),
+        ["1", "2", "3", "4", "5"],
+        "Chapters without a volume should stay after Vol. 1 and 2"
+      );
+    });
+
+    test("deduplicates across saved and updated chapters", async () => {
+      const state = createState();
+      let responses = [feedResponse([["ch1-a", "1"]])];
+      const mockMango = createMockMango({
+        http: { get: async () => responses.shift() },
+        state,
+        config: { preferred_groups: "group-ch1-b" },
+      });
+
+      await plugin.getChapters("manga-123", mockMango);
+      responses = [feedResponse([["ch1-b", "1"]])];
+      const chapters = await plugin.getChapters("manga-123", mockMango);
+
+      assert.deepStrictEqual(chapters.map((ch) => ch.identifier), ["ch1-b"]);
+    });
+
+    test("supports a forced full resync", async () => {
+      const state = createState();
+      const requests = [];
+      let responses = [feedResponse([["ch1", "1"], ["ch-deleted", "0"]])];
+      const mockMango = createMockMango({
+        http: {
+          get: async (url) => {
+            requests.push(url);
+            return responses.shift();
+          },
+        },
+        state,
+      });
+
+      await plugin.getChapters("manga-123", mockMango);
+      responses = [feedResponse([["ch1", "1"]])];
+      const chapters = await plugin.getChapters("manga-123", mockMango, { fullResync: true });
+
+      assert.ok(!requests[1].includes("updatedAtSince"), "Should refetch everything");
+      assert.deepStrictEqual(chapters.map((ch) => ch.identifier), ["ch1"]);
+      assert.strictEqual(state.store["chapters:manga-123"].entries.length, 1);
+    });
+
+    test("resyncs fully when feed settings change", async () => {
+      const state = createState();
+      const requests = [];
+      const mockMango = createMockMango({
+        http: {
+          get: async (url) => {
+            requests.push(url);
+            return feedResponse([["ch1", "1"]]);
+          },
+        },
+        state,
+      });
+
+      await plugin.getChapters("manga-123", mockMango);
+      mockMango.config.languages = "en,fr";
+      await plugin.getChapters("manga-123", mockMango);
+
+      assert.ok(!requests[1].includes("updatedAtSince"));
+    });
+
+    test("can be turned off", async () => {
+      const state = createState();
+      const mockMango = createMockMango({
+        http: { get: async () => feedResponse([["ch1", "1"]]) },
+        state,
+        config: { incremental_sync: false },
+      });
+
+      await plugin.getChapters("manga-123", mockMango);
+
+      assert.deepStrictEqual(state.store, {}, "Should not save state");
+    });
+
+    test("fetches the whole feed when the host has no plugin state", async () => {
+      const requests = [];
+      const mockMango = createMockMango({
+        http: {
+          get: async (url) => {
+            requests.push(url);
+            return feedResponse([["ch2", "2"], ["ch1", "1"]]);
+          },
+        },
+      });
+      delete mockMango.state;
+
+      const chapters = await plugin.getChapters("manga-123", mockMango);
+      await plugin.getChapters("manga-123", mockMango);
+
+      assert.deepStrictEqual(chapters.map((ch) => ch.identifier), ["ch1", "ch2"]);
+      assert.ok(requests.every((url) => !url.includes("updatedAtSince")));
+    });
+  });
+
+  describe("feeds beyond the 10,000 result window", () => {
+    // Serves a feed like MangaDex does, rejecting offset + limit > 10000
+    const createLargeFeed = (count) => {
+      const base = Date.parse("2018-01-01T00:00:00Z");
+      const chapters = Array.from({ length: count }, (_, i) => ({
+        id: `chapter-${i + 1}`,
+        type: "chapter",
+        attributes: {
+          // Only the newest chapters have no volume yet
+          volume: i < 10000 ? String(Math.floor(i / 100) + 1) : null,
+          chapter: String(i + 1),
+          pages: 20,
+          translatedLanguage: i % 2 ? "en" : "es",
+          // Pairs of chapters share a creation second
+          createdAt: new Date(base + Math.floor(i / 2) * 1000).toISOString()
+        }
+      }));
+
+      const requests = [];
+      const get = async (url) => {
+        requests.push(url);
+        const params = new URL(url).searchParams;
+        const limit = Number(params.get("limit"));
+        const offset = Number(params.get("offset"));
+        if (offset + limit > 10000) {
+          return { status: 400, statusText: "Bad Request", data: null };
+        }
+
+        let list = chapters;
+        if (params.get("order[createdAt]") === "asc") {
+          const since = params.get("createdAtSince");
+          if (since) {
+            list = list.filter((ch) => ch.attributes.createdAt >= `${since}.000Z`);
+          }
+        } else {
+          list = [...list].reverse();
+        }
+
+        return {
+          status: 200,
+          statusText: "OK",
+          data: { data: list.slice(offset, offset + limit), total: list.length }
+        };
+      };
+
+      return { get, requests };
+    };
+
+    test("lists every chapter of a feed larger than 10k entries", async () => {
+      const feed = createLargeFeed(12345);
+      const mockMango = createMockMango({
+        http: { get: feed.get },
+        config: { languages: "en,es" },
+      });
+
+      const chapters = await plugin.getChapters("manga-123", mockMango);
+
+      assert.strictEqual(chapters.length, 12345, "Should list every chapter");
+      assert.strictEqual(
+        new Set(chapters.map((ch) => ch.identifier)).size,
+        12345,
+        "Should not repeat window boundary chapters"
+      );
+      assert.ok(
+        chapters.every((ch, i) => ch.chapter === String(i + 1)),
+        "Should list chapters in volume order with unvolumed chapters last"
+      );
+      assert.strictEqual(chapters[9999].volume, "100");
+      assert.strictEqual(chapters[10000].volume, "");
+      assert.ok(
+        feed.requests.some((url) => url.includes("createdAtSince=")),
+        "Should use createdAt windows"
+      );
+    });
+
+    test("keeps regular pagination for feeds within the window", async () => {
+      const feed = createLargeFeed(1200);
+      const mockMango = createMockMango({
+        http: { get: feed.get },
+        config: { languages: "en,es" },
+      });
+
+      const chapters = await plugin.getChapters("manga-123", mockMango);
+
+      assert.strictEqual(chapters.length, 1200);
+      assert.strictEqual(feed.requests.length, 3);
+      assert.ok(feed.requests.every((url) => url.includes("order[volume]=desc")));
+    });
+  });
+
+  describe("getRelatedSeries", () => {
+    test("resolves related manga into search results with their relation", async () => {
+      const requests = [];
+      const mockMango = createMockMango({
+        http: {
+          get: async (url) => {
+            requests.push(url);
+            if (url.endsWith("/manga/manga-123")) {
+              return {
+                status: 200,
+                statusText: "OK",
+                data: {
+                  data: {
+                    id: "manga-123",
+                    type: "manga",
+                    attributes: { title: { en: "Part 1" } },
+                    relationships: [
+                      { id: "author-1", type: "author" },
+                      { id: "manga-seq", type: "manga", related: "sequel" },
+                      { id: "manga-spin", type: "manga", related: "spin_off" },
+                      { id: "manga-gone", type: "manga", related: "side_story" }
+                    ]
+                  }
+                }
+              };
+            }
+            return {
+              status: 200,
+              statusText: "OK",
+              data: {
+                data: [
+                  {
+                    id: "manga-spin",
+                    type: "manga",
+                    attributes: { title: { en: "Spin-off" } },
+                    relationships: [{ id: "cover-spin", type: "cover_art" }]
+                  },
+                  {
+                    id: "manga-seq",
+                    type: "manga",
+                    attributes: { title: { en: "Part 2" } },
+                    relationships: [
+                      { type: "cover_art", attributes: { fileName: "part2.jpg" } }
+                    ]
+                  }
+                ],
+                included: [
+                  { id: "cover-spin", type: "cover_art", attributes: { fileName: "spin.jpg" } }
+                ]
+              }
+            };
+          },
+        },
+      });
+
+      const related = await plugin.getRelatedSeries("manga-123", mockMango);
+
+      assert.ok(requests[1].includes("ids[]=manga-seq&ids[]=manga-spin&ids[]=manga-gone"));
+      assert.ok(requests[1].includes("includes[]=cover_art"));
+      assert.deepStrictEqual(
+        related.map((item) => [item.identifier, item.relation, item.title]),
+        [
+          ["manga-seq", "sequel", "Part 2"],
+          ["manga-spin", "spin_off", "Spin-off"]
+        ],
+        "Should keep relationship order and skip manga that were not returned"
+      );
+      assert.ok(related[0].cover_url.includes("manga-seq/part2.jpg"));
+      assert.ok(related[1].cover_url.includes("manga-spin/spin.jpg"));
+    });
+
+    test("returns an empty list when nothing is related", async () => {
+      let callCount = 0;
+      const mockMango = createMockMango({
+        http: {
+          get: async () => {
+            callCount++;
+            return {
+              status: 200,
+              statusText: "OK",
+              data: { data: { id: "manga-123", relationships: [] } }
+            };
+          },
+        },
+      });
+
+      const related = await plugin.getRelatedSeries("manga-123", mockMango);
+
+      assert.deepStrictEqual(related, []);
+      assert.strictEqual(callCount, 1);
+    });
+  });
+
+  describe("browse", () => {
+    const mangaList = {
+      result: "ok",
+      data: [
+        {
+          id: "manga-1",
+          type: "manga",
+          attributes: { title: { en: "Popular Manga" } },
+          relationships: [{ type: "cover_art", attributes: { fileName: "popular.jpg" } }]
+        }
+      ],
+      total: 48000
+    };
+
+    test("orders each list by its MangaDex field", async () => {
+      const requests = [];
+      const mockMango = createMockMango({
+        http: {
+          get: async (url) => {
+            requests.push(url);
+            return { status: 200, statusText: "OK", data: mangaList };
+          },
+        },
+      });
+
+      const popular = await plugin.browse("popular", mockMango, { page: 2 });
+      await plugin.browse("recently_added", mockMango, {});
+      await plugin.browse("latest_updates", mockMango);
+
+      assert.ok(requests[0].includes("order[followedCount]=desc"));
+      assert.ok(requests[0].includes("limit=25&offset=25"));
+      assert.ok(requests[0].includes("includes[]=cover_art"));
+      assert.ok(requests[1].includes("order[createdAt]=desc"));
+      assert.ok(requests[1].includes("offset=0"));
+      assert.ok(requests[2].includes("order[latestUploadedChapter]=desc"));
+
+      assert.deepStrictEqual(popular, [
+        {
+          title: "Popular Manga",
+          cover_url: "https://uploads.mangadex.org/covers/manga-1/popular.jpg.256.jpg",
+          identifier: "manga-1",
+          alt_titles: [],
+          original_title: "",
+          content_rating: ""
+        }
+      ]);
+    });
+
+    test("lists the manga of a public custom list", async () => {
+      const listId = "8a2e2d4f-6c1b-4e5a-9f0d-3b7c1a2e4f60";
+      const requests = [];
+      const mockMango = createMockMango({
+        http: {
+          get: async (url) => {
+            requests.push(url);
+            if (url.includes(`/list/${listId}`)) {
+              return {
+                status: 200,
+                statusText: "OK",
+                data: {
+                  data: {
+                    id: listId,
+                    type: "custom_list",
+                    attributes: { name: "Favourites" },
+                    relationships: [
+                      { id: "user-1", type: "user" },
+                      { id: "manga-a", type: "manga" },
+                      { id: "manga-b", type: "manga" },
+                      { id: "manga-c", type: "manga" }
+                    ]
+                  }
+                }
+              };
+            }
+            return {
+              status: 200,
+              statusText: "OK",
+              data: {
+                data: [
+                  {
+                    id: "manga-c",
+                    type: "manga",
+                    attributes: { title: { en: "Manga C" } },
+                    relationships: [{ type: "cover_art", attributes: { fileName: "c.jpg" } }]
+                  }
+                ]
+              }
+            };
+          },
+        },
+      });
+
+      const results = await plugin.browse(
+        `https://mangadex.org/list/${listId}/favourites`,
+        mockMango,
+        { page: 2, pageSize: 2 }
+      );
+
+      assert.ok(requests[1].includes("ids[]=manga-c"));
+      assert.ok(!requests[1].includes("manga-a"), "Should only fetch the requested page");
+      assert.deepStrictEqual(results.map((item) => item.title), ["Manga C"]);
+    });
+
+    test("rejects unknown list names", async () => {
+      const mockMango = createMockMango();
+
+      await assert.rejects(
+        () => plugin.browse("trending", mockMango, { page: 1 }),
+        /Unknown browse list "trending"/
+      );
+    });
+  });
+
+  describe("title languages", () => {
+    const romanizedManga = {
+      result: "ok",
+      data: [
+        {
+          id: "manga-1",
+          type: "manga",
+          attributes: {
+            title: { "ja-ro": "Sousou no Frieren" },
+            altTitles: [
+              { ja: "葬送のフリーレン" },
+              { en: "Frieren: Beyond Journey's End" },
+              { "pt-br": "Frieren e a Jornada para o Além" }
+            ],
+            originalLanguage: "ja"
+          },
+          relationships: []
+        }
+      ]
+    };
+
+    const searchWithConfig = async (config) => {
+      const mockMango = createMockMango({
+        config,
+        http: {
+          get: async () => ({ status: 200, statusText: "OK", data: romanizedManga })
+        },
+      });
+      const results = await plugin.search("frieren", mockMango);
+      return results[0];
+    };
+
+    test("uses an English alternative title over a romanized main title", async () => {
+      const result = await searchWithConfig({});
+
+      assert.strictEqual(result.title, "Frieren: Beyond Journey's End");
+      assert.strictEqual(result.original_title, "葬送のフリーレン");
+      assert.deepStrictEqual(result.alt_titles, [
+        "Sousou no Frieren",
+        "葬送のフリーレン",
+        "Frieren e a Jornada para o Além"
+      ]);
+    });
+
+    test("follows the configured title language order", async () => {
+      const result = await searchWithConfig({ title_languages: "pt-BR, en" });
+
+      assert.strictEqual(result.title, "Frieren e a Jornada para o Além");
+      assert.ok(result.alt_titles.includes("Frieren: Beyond Journey's End"));
+      assert.ok(!result.alt_titles.includes(result.title));
+    });
+
+    test("falls back to the main title when no preferred language matches", async () => {
+      const result = await searchWithConfig({ title_languages: "de,fr" });
+
+      assert.strictEqual(result.title, "Sousou no Frieren");
+    });
+
+    test("uses the romanized title as original title when there is no native one", async () => {
+      const mockMango = createMockMango({
+        http: {
+          get: async () => ({
+            status: 200,
+            statusText: "OK",
+            data: {
+              data: [
+                {
+                  id: "manga-2",
+                  attributes: {
+                    title: { en: "Solo Leveling" },
+                    altTitles: [{ "ko-ro": "Na Honjaman Level Up" }],
+                    originalLanguage: "ko"
+                  },
+                  relationships: []
+                }
+              ]
+            }
+          })
+        },
+      });
+
+      const results = await plugin.search("solo leveling", mockMango);
+
+      assert.strictEqual(results[0].original_title, "Na Honjaman Level Up");
+    });
+  });
+
+  describe("content ratings", () => {
+    const ratedManga = {
+      result: "ok",
+      data: [
+        {
+          id: "manga-safe",
+          attributes: { title: { en: "Safe Manga" }, contentRating: "safe" },
+          relationships: []
+        },
+        {
+          id: "manga-erotica",
+          attributes: { title: { en: "Adult Manga" }, contentRating: "erotica" },
+          relationships: []
+        }
+      ],
+      total: 2
+    };
+
+    const createRatedMango = (config, requests) =>
+      createRecordingMango(
+        () => ({ status: 200, statusText: "OK", data: ratedManga }),
+        requests,
+        { config }
+      );
+
+    test("sends the configured content ratings with searches and browse lists", async () => {
+      const requests = [];
+      const mockMango = createRatedMango(
+        { content_ratings: "safe, erotica" },
+        requests
+      );
+
+      const results = await plugin.search("manga", mockMango);
+      await plugin.browse("popular", mockMango, { page: 1 });
+
+      for (const url of requests) {
+        assert.ok(url.includes("&contentRating[]=safe&contentRating[]=erotica"), url);
+        assert.ok(!url.includes("contentRating[]=suggestive"), url);
+      }
+      assert.deepStrictEqual(
+        results.map((result) => [result.identifier, result.content_rating]),
+        [
+          ["manga-safe", "safe"],
+          ["manga-erotica", "erotica"]
+        ]
+      );
+    });
+
+    test("drops results with a rating that is not enabled", async () => {
+      const requests = [];
+      const mockMango = createRatedMango({}, requests);
+
+      const results = await plugin.search("manga", mockMango);
+
+      assert.ok(requests[0].includes("&contentRating[]=safe&contentRating[]=suggestive"));
+      assert.deepStrictEqual(
+        results.map((result) => result.identifier),
+        ["manga-safe"],
+        "Should hide the erotica title even if MangaDex returns it"
+      );
+    });
+
+    test("applies the ratings to related manga lookups", async () => {
+      const requests = [];
+      const mockMango = createMockMango({
+        config: { content_ratings: "safe" },
+        http: {
+          get: async (url) => {
+            requests.push(url);
+            if (url.endsWith("/manga/manga-123")) {
+              return {
+                status: 200,
+                statusText: "OK",
+                data: {
+                  data: {
+                    id: "manga-123",
+                    relationships: [{ id: "manga-safe", type: "manga", related: "sequel" }]
+                  }
+                }
+              };
+            }
+            return { status: 200, statusText: "OK", data: ratedManga };
+          },
+        },
+      });
+
+      const related = await plugin.getRelatedSeries("manga-123", mockMango);
+
+      assert.ok(requests[1].endsWith("&contentRating[]=safe"));
+      assert.deepStrictEqual(related.map((item) => item.identifier), ["manga-safe"]);
+    });
+
+    test("lets a rating token narrow but not widen the configured ratings", async () => {
+      const requests = [];
+      const mockMango = createRatedMango({ content_ratings: "safe,suggestive" }, requests);
+
+      await plugin.search("manga rating:safe", mockMango);
+      assert.strictEqual(
+        requests[0].match(/contentRating\[\]=/g).length,
+        1,
+        "Should only send the token's rating"
+      );
+
+      await assert.rejects(
+        () => plugin.search("manga rating:pornographic", mockMango),
+        /Content rating pornographic is not enabled/
+      );
+    });
+
+    test("falls back to the default ratings for unknown values", async () => {
+      const requests = [];
+      const mockMango = createRatedMango({ content_ratings: "everything" }, requests);
+
+      await plugin.search("manga", mockMango);
+
+      assert.ok(requests[0].endsWith("&contentRating[]=safe&contentRating[]=suggestive"));
+    });
+
+    test("warns about unknown ratings once per search", async () => {
+      const warnings = [];
+      const mockMango = createRecordingMango(
+        () => ({ status: 200, statusText: "OK", data: ratedManga }),
+        [],
+        {
+          config: { content_ratings: "safe, everything" },
+          log: { warn: (message) => warnings.push(message) }
+        }
+      );
+
+      await plugin.search("manga rating:safe", mockMango);
+
+      assert.deepStrictEqual(warnings, ["Ignoring unknown content ratings: everything"]);
     });
   });
 });
@@ -5,10 +5,111 @@
 
 const BASE_URL = "https://www.webtoons.com";
 const MOBILE_URL = "https://m.webtoons.com";
-const SEARCH_URL = "https://www.webtoons.com/en/search/immediate?keyword=";
+const SEARCH_PATH = "/search/immediate?keyword=";
 const SEARCH_PARAMS = "&q_enc=UTF-8&st=1&r_format=json&r_enc=UTF-8";
+// Sections of the full search results page
+const SEARCH_TYPES = { webtoon: "WEBTOON", challenge: "CHALLENGE" };
 const THUMBNAIL_URL = "https://webtoon-phinf.pstatic.net";
+const CHALLENGE_THUMBNAIL_URL = "https://swebtoon-phinf.pstatic.net";
 const PROXY_BASE_URL = "http://localhost:8080/api/proxy/resource";
+// Site locales, used as the first path segment of webtoons.com URLs
+const LOCALES = ["en", "es", "fr", "de", "id", "th", "zh-hant"];
+const DEFAULT_LOCALE = "en";
+// Series types: Originals ("webtoon") and Canvas ("challenge"), with the
+// mobile API and series list page paths of each. Canvas identifiers carry a
+// "challenge:" prefix.
+const SERIES_TYPES = {
+  webtoon: { api: "webtoon", list: "episodeList" },
+  challenge: { api: "canvas", list: "challenge/episodeList" },
+};
+const CHALLENGE_PREFIX = "challenge:";
+// Lock notice shown instead of the images of a locked episode, and the
+// markers inside it. Only the notice is checked, since the rest of the
+// viewer page can advertise Daily Pass too
+const LOCKED_VIEWER_NOTICE =
+  /<div[^>]*class="[^"]*\bepisode_lock\b[^"]*"[^>]*>([\s\S]*?)<\/div>/i;
+const LOCKED_VIEWER_PATTERN = /daily[\s_-]?pass|fast[\s_-]?pass|coin|ico_lock/i;
+const WEEKDAYS = [
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+  "sunday",
+];
+// Weekday names of each locale's series pages, in WEEKDAYS order
+const WEEKDAY_NAMES = {
+  en: ["\\bmon", "\\btue", "\\bwed", "\\bthu", "\\bfri", "\\bsat", "\\bsun"],
+  es: [
+    "lunes",
+    "martes",
+    "mi[eé]rcoles",
+    "jueves",
+    "viernes",
+    "s[aá]bado",
+    "domingo",
+  ],
+  fr: ["lundi", "mardi", "mercredi", "jeudi", "vendredi", "samedi", "dimanche"],
+  de: [
+    "montag",
+    "dienstag",
+    "mittwoch",
+    "donnerstag",
+    "freitag",
+    "samstag",
+    "sonntag",
+  ],
+  id: ["senin", "selasa", "rabu", "kamis", "jumat", "sabtu", "minggu"],
+  th: ["จันทร์", "อังคาร", "พุธ", "พฤหัส", "ศุกร์", "เสาร์", "อาทิตย์"],
+  "zh-hant": [
+    "[週周]一",
+    "[週周]二",
+    "[週周]三",
+    "[週周]四",
+    "[週周]五",
+    "[週周]六",
+    "[週周][日天]",
+  ],
+};
+// Words for "completed" in each locale's series pages
+const COMPLETED_WORDS = {
+  en: "complete",
+  es: "completad|finalizad",
+  fr: "termin",
+  de: "abgeschlossen",
+  id: "tamat",
+  th: "จบแล้ว",
+  "zh-hant": "完結",
+};
+// Genre browse lists; other genres can be browsed as "genre:<slug>"
+const GENRES = [
+  "action",
+  "comedy",
+  "drama",
+  "fantasy",
+  "heartwarming",
+  "historical",
+  "horror",
+  "informative",
+  "mystery",
+  "romance",
+  "sci-fi",
+  "slice-of-life",
+  "sports",
+  "superhero",
+  "supernatural",
+  "thriller",
+];
+const RANKINGS = ["trending", "popular"];
+// Viewer <img> attributes holding the page URL, lazy-load variants first
+const VIEWER_IMAGE_ATTRIBUTES = [
+  "data-url",
+  "data-src",
+  "data-original",
+  "data-lazy-src",
+  "src",
+];
 
 /**
  * Constructs a proxy URL for an image resource
@@ -38,76 +139,543 @@ function constructProxyUrl(imageUrl, options = {}) {
   return PROXY_BASE_URL + "?" + params.join("&");
 }
 
+/**
+ * Thrown by getPageURLs for episodes locked behind Daily Pass, Fast Pass or coins
+ */
+class LockedEpisodeError extends Error {
+  /**
+   * @param {string} chapterId - Chapter identifier
+   */
+  constructor(chapterId) {
+    super(
+      `Episode ${chapterId} is locked (Daily Pass, Fast Pass or coins) and cannot be downloaded`
+    );
+    this.name = "LockedEpisodeError";
+    this.code = "LOCKED_EPISODE";
+    this.chapterId = chapterId;
+  }
+}
+
+exports.LockedEpisodeError = LockedEpisodeError;
 
 /**
- * Searches for webtoons
+ * Reads the lock and pricing fields of an episode from the episodes API
+ * @param {object} episode - Episode list entry
+ * @returns {string} "daily_pass", "fast_pass" or "coins" for locked
+ *   episodes, an empty string for free or purchased ones
+ */
+function getEpisodeLock(episode) {
+  if (episode.alreadyPurchased) {
+    return "";
+  }
+  if (episode.dailyPass) {
+    return "daily_pass";
+  }
+  if (episode.fastPass) {
+    return "fast_pass";
+  }
+  if (Number(episode.price) > 0) {
+    return "coins";
+  }
+  return "";
+}
+
+/**
+ * Checks whether a viewer page shows the lock notice of a locked episode
+ * @param {string} html - Viewer page HTML
+ * @returns {boolean} True when the lock notice names a pass or coins
+ */
+function isLockedViewer(html) {
+  const notice = html.match(LOCKED_VIEWER_NOTICE);
+  return Boolean(notice && LOCKED_VIEWER_PATTERN.test(notice[1]));
+}
+
+/**
+ * Routes a webtoons cover image through the Mango-Go resource proxy
+ * @param {string} coverUrl - Cover image URL
+ * @returns {string} Relative proxy URL for webtoons images, else coverUrl
+ */
+function proxyCoverUrl(coverUrl) {
+  // If cover URL is from webtoons, proxy it through Mango-Go to add referer header
+  if (!coverUrl || !coverUrl.includes("webtoon-phinf.pstatic.net")) {
+    return coverUrl;
+  }
+  // Use the generic resource proxy for cover images
+  // This adds necessary headers (Referer) to bypass restrictions
+  const proxyUrl = constructProxyUrl(coverUrl, {
+    referer: BASE_URL + "/",
+  });
+  // Remove the protocol and host for relative URL (used in frontend)
+  return proxyUrl.replace("http://localhost:8080", "");
+}
+
+/**
+ * Reads the configured site locale
+ * @param {object} mango - Mango API object
+ * @returns {string} One of LOCALES, DEFAULT_LOCALE when unset or unknown
+ */
+function getLocale(mango) {
+  const configured = String(mango.config?.locale || DEFAULT_LOCALE)
+    .trim()
+    .toLowerCase()
+    .replace(/_/g, "-");
+
+  if (!LOCALES.includes(configured)) {
+    mango.log.warn(`Unknown locale "${configured}", using ${DEFAULT_LOCALE}`);
+    return DEFAULT_LOCALE;
+  }
+  return configured;
+}
+
+/**
+ * Finds the locale a webtoons.com path or URL belongs to
+ * Accepts "_" in place of "-" (chapter identifiers replace hyphens)
+ * @param {string} link - Path such as "/es/fantasy/..." or an absolute URL
+ * @returns {string|null} One of LOCALES, or null if the path has none
+ */
+function getLocaleFromLink(link) {
+  const match = String(link || "").match(
+    /^(?:https?:\/\/[^/]+)?\/([a-z]+(?:[-_][a-z]+)?)(?:[/?#]|$)/i
+  );
+  if (!match) {
+    return null;
+  }
+  const locale = match[1].toLowerCase().replace(/_/g, "-");
+  return LOCALES.includes(locale) ? locale : null;
+}
+
+/**
+ * Prefixes a relative viewer link with a locale segment if it has none, so
+ * chapter identifiers keep their locale when the locale option changes
+ * @param {string} viewerLink - Viewer link from the episodes API
+ * @param {string} locale - Locale to add
+ * @returns {string} Viewer link with a locale segment
+ */
+function addLocaleToLink(viewerLink, locale) {
+  const link = String(viewerLink || "");
+  if (/^https?:\/\//i.test(link) || getLocaleFromLink(link)) {
+    return link;
+  }
+  return `/${locale}${link.startsWith("/") ? "" : "/"}${link}`;
+}
+
+/**
+ * Restores the locale segment of a viewer URL, e.g. "zh_hant" back to
+ * "zh-hant" (chapter identifiers replace hyphens)
+ * @param {string} url - Absolute viewer URL
+ * @returns {string} URL with a valid locale segment
+ */
+function restoreLocaleSegment(url) {
+  const locale = getLocaleFromLink(url);
+  if (!locale) {
+    return url;
+  }
+  return url.replace(/^(https?:\/\/[^/]+)\/[^/?#]+/i, `$1/${locale}`);
+}
+
+/**
+ * Splits a series identifier into its type and titleNo
+ * Plain titleNos (used before Canvas support) are Originals
+ * @param {string} seriesId - "6795" or "challenge:123456"
+ * @returns {{type: string, titleNo: string}} type is a SERIES_TYPES key
+ */
+function parseSeriesId(seriesId) {
+  const id = String(seriesId || "").trim();
+  if (id.toLowerCase().startsWith(CHALLENGE_PREFIX)) {
+    return { type: "challenge", titleNo: id.slice(CHALLENGE_PREFIX.length) };
+  }
+  return { type: "webtoon", titleNo: id };
+}
+
+/**
+ * Builds the series identifier for a titleNo
+ * @param {string} type - SERIES_TYPES key
+ * @param {string|number} titleNo - Webtoons title number
+ * @returns {string} Series identifier
+ */
+function formatSeriesId(type, titleNo) {
+  return type === "challenge" ? CHALLENGE_PREFIX + titleNo : String(titleNo);
+}
+
+/**
+ * Gets the series type of a search result item
+ * @param {object} item - Search result item
+ * @returns {string} SERIES_TYPES key
+ */
+function getItemType(item) {
+  const type = String(item.webtoonType || item.type || "").toLowerCase();
+  return type === "challenge" || type === "canvas" ? "challenge" : "webtoon";
+}
+
+/**
+ * Decodes the HTML entities webtoons pages use in text
+ * @param {string} text - HTML text
+ * @returns {string} Decoded text
+ */
+function decodeHtml(text) {
+  return String(text || "")
+    .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(code))
+    .replace(/&#x([0-9a-f]+);/gi, (match, code) =>
+      String.fromCharCode(parseInt(code, 16))
+    )
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&amp;/g, "&");
+}
+
+/**
+ * Gets the text of the first element matching a regex
+ * @param {string} html - Page HTML
+ * @param {RegExp} regex - Regex whose first group is the element content
+ * @returns {string} Text without tags and extra whitespace, or ""
+ */
+function matchText(html, regex) {
+  const match = html.match(regex);
+  if (!match) {
+    return "";
+  }
+  return decodeHtml(
+    match[1]
+      .replace(/<br\s*\/?>/gi, "\n")
+      .replace(/<[^>]+>/g, " ")
+      .replace(/[ \t]+/g, " ")
+      .replace(/ *\n */g, "\n")
+  ).trim();
+}
+
+/**
+ * Gets the content of a <meta> tag
+ * @param {string} html - Page HTML
+ * @param {string} name - property or name attribute value
+ * @returns {string} Decoded content, or ""
+ */
+function getMetaContent(html, name) {
+  const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const match =
+    html.match(
+      new RegExp(
+        `<meta[^>]+(?:property|name)=["']${escaped}["'][^>]*content=["']([^"']*)["']`,
+        "i"
+      )
+    ) ||
+    html.match(
+      new RegExp(
+        `<meta[^>]+content=["']([^"']*)["'][^>]*(?:property|name)=["']${escaped}["']`,
+        "i"
+      )
+    );
+  return match ? decodeHtml(match[1]).trim() : "";
+}
+
+/**
+ * Searches the immediate (autocomplete) endpoint
+ * Its results are the best matches but capped, and it misses many partial
+ * or case-varied queries
  * @param {string} query - Search query
+ * @param {string} locale - Site locale
  * @param {object} mango - Mango API object
+ * @returns {Promise<Array>} SearchResult objects
  */
-exports.search = async (query, mango) => {
-  mango.log.info(`Searching Webtoons for: ${query}`);
+async function searchImmediate(query, locale, mango) {
+  const searchUrl =
+    `${BASE_URL}/${locale}${SEARCH_PATH}` +
+    encodeURIComponent(query) +
+    SEARCH_PARAMS;
+  const headers = { Referer: BASE_URL + "/" };
 
-  try {
-    const searchUrl = SEARCH_URL + encodeURIComponent(query) + SEARCH_PARAMS;
-    const headers = { Referer: BASE_URL + "/" };
+  const response = await mango.http.get(searchUrl, { headers: headers });
+
+  if (response.status !== 200) {
+    throw new Error(`Search failed: ${response.statusText}`);
+  }
 
-    const response = await mango.http.get(searchUrl, { headers: headers });
+  const search = response.data;
 
-    if (response.status !== 200) {
-      throw new Error(`Search failed: ${response.statusText}`);
+  if (!search.result || search.result.total === 0) {
+    return [];
+  }
+
+  // Canvas titles come in their own list or flagged in searchedList
+  const searchedItems = [
+    ...(search.result.searchedList || []),
+    ...(search.result.challengeSearchedList || []).map((item) => ({
+      ...item,
+      webtoonType: "CHALLENGE",
+    })),
+  ];
+  const results = searchedItems
+    .filter((item) => item.titleNo != null)
+    .map((item) => {
+      const type = getItemType(item);
+
+      // Construct cover URL properly
+      let coverUrl = "";
+      const thumbnail = item.thumbnailImage2 || item.thumbnailMobile;
+      if (thumbnail) {
+        // Thumbnails from API are usually paths like "/thumbnail/icon_webtoon/6795/..."
+        // or full URLs. Handle both cases
+        if (
+          thumbnail.startsWith("http://") ||
+          thumbnail.startsWith("https://")
+        ) {
+          coverUrl = thumbnail;
+        } else {
+          // Ensure path starts with / for proper URL construction
+          const thumbPath = thumbnail.startsWith("/")
+            ? thumbnail
+            : "/" + thumbnail;
+          coverUrl =
+            (type === "challenge" ? CHALLENGE_THUMBNAIL_URL : THUMBNAIL_URL) +
+            thumbPath;
+        }
+      }
+
+      return {
+        title: item.title || "Untitled",
+        cover_url: proxyCoverUrl(coverUrl),
+        identifier: formatSeriesId(type, item.titleNo),
+      };
+    });
+
+  return results;
+}
+
+/**
+ * Gets the body of an HTML response
+ * @param {object} response - mango.http response
+ * @returns {string} Response text
+ */
+function getResponseText(response) {
+  if (typeof response.text === "function") {
+    return response.text();
+  }
+  return typeof response.data === "string" ? response.data : "";
+}
+
+/**
+ * Parses the series cards of a search results or browse page
+ * @param {string} html - Page HTML
+ * @param {string} type - SERIES_TYPES key for cards whose link has no type
+ * @returns {Array} SearchResult objects
+ */
+function parseSeriesCards(html, type) {
+  const results = [];
+  const cardRegex =
+    /<a[^>]+href=["']([^"']*title_no=(\d+)[^"']*)["'][^>]*>([\s\S]*?)<\/a>/gi;
+  let cardMatch;
+
+  while ((cardMatch = cardRegex.exec(html)) !== null) {
+    const [, href, titleNo, content] = cardMatch;
+    const title = matchText(
+      content,
+      /<(?:p|strong|span)[^>]*class=["'][^"']*\b(?:subj|title)\b[^"']*["'][^>]*>([\s\S]*?)<\/(?:p|strong|span)>/i
+    );
+    if (!title) {
+      continue;
     }
 
-    const search = response.data;
+    // Lazy-loaded covers keep the real URL in data-url or data-src
+    const imageTag = (content.match(/<img[^>]*>/i) || [""])[0];
+    const imageMatch =
+      imageTag.match(/data-url=["']([^"']+)["']/i) ||
+      imageTag.match(/data-src=["']([^"']+)["']/i) ||
+      imageTag.match(/\ssrc=["'](https?:[^"']+)["']/i);
+    const cardType = /\/(?:challenge|canvas)\//i.test(href)
+      ? "challenge"
+      : type;
 
-    if (!search.result || search.result.total === 0) {
-      mango.log.info("No results found");
-      return [];
+    results.push({
+      title: title,
+      cover_url: proxyCoverUrl(imageMatch ? decodeHtml(imageMatch[1]) : ""),
+      identifier: formatSeriesId(cardType, titleNo),
+    });
+  }
+
+  return results;
+}
+
+/**
+ * Drops search results whose identifier already appeared
+ * @param {Array} results - SearchResult objects
+ * @returns {Array} First result of each identifier, in order
+ */
+function uniqueResults(results) {
+  const seen = new Set();
+  return results.filter((result) => {
+    if (seen.has(result.identifier)) {
+      return false;
     }
+    seen.add(result.identifier);
+    return true;
+  });
+}
 
-    const searchedItems = search.result.searchedList || [];
-    const results = searchedItems
-      .filter((item) => item.titleNo != null)
-      .map((item) => {
-        // Construct cover URL properly
-        let coverUrl = "";
-        const thumbnail = item.thumbnailImage2 || item.thumbnailMobile;
-        if (thumbnail) {
-          // Thumbnails from API are usually paths like "/thumbnail/icon_webtoon/6795/..."
-          // or full URLs. Handle both cases
-          if (
-            thumbnail.startsWith("http://") ||
-            thumbnail.startsWith("https://")
-          ) {
-            coverUrl = thumbnail;
-          } else {
-            // Ensure path starts with / for proper URL construction
-            const thumbPath = thumbnail.startsWith("/")
-              ? thumbnail
-              : "/" + thumbnail;
-            coverUrl = THUMBNAIL_URL + thumbPath;
-          }
-        }
+/**
+ * Reads the current page number from a results page's paginator
+ * @param {string} html - Results page HTML
+ * @returns {number} Highlighted page number, or 1 when there is no paginator
+ */
+function getCurrentPage(html) {
+  const paginator = html.match(
+    /<div[^>]*class="[^"]*\bpaginate\b[^"]*"[^>]*>([\s\S]*?)<\/div>/i
+  );
+  if (!paginator) {
+    return 1;
+  }
+  const current = paginator[1].match(
+    /<(a|strong|span)[^>]*class="[^"]*\bon\b[^"]*"[^>]*>([\s\S]*?)<\/\1>/i
+  );
+  const page = current ? parseInt(current[2].replace(/<[^>]*>/g, ""), 10) : NaN;
+  return isNaN(page) ? 1 : page;
+}
 
-        // If cover URL is from webtoons, proxy it through Mango-Go to add referer header
-        let finalCoverUrl = coverUrl;
-        if (coverUrl && coverUrl.includes("webtoon-phinf.pstatic.net")) {
-          // Use the generic resource proxy for cover images
-          // This adds necessary headers (Referer) to bypass restrictions
-          finalCoverUrl = constructProxyUrl(coverUrl, {
-            referer: BASE_URL + "/",
-          });
-          // Remove the protocol and host for relative URL (used in frontend)
-          finalCoverUrl = finalCoverUrl.replace("http://localhost:8080", "");
-        }
+/**
+ * Searches one page of the full search results of Originals and Canvas
+ * Sections with fewer pages add no results to later pages
+ * @param {string} query - Search query
+ * @param {string} locale - Site locale
+ * @param {number} page - 1-based page number
+ * @param {object} mango - Mango API object
+ * @returns {Promise<Array>} SearchResult objects, Originals first
+ */
+async function searchResultPages(query, locale, page, mango) {
+  const results = [];
+  const headers = { Referer: BASE_URL + "/" };
+
+  for (const [type, searchType] of Object.entries(SEARCH_TYPES)) {
+    const pageUrl = `${BASE_URL}/${locale}/search?keyword=${encodeURIComponent(query)}&searchType=${searchType}&page=${page}`;
+
+    mango.log.debug(`Fetching search page: ${pageUrl}`);
+
+    const response = await mango.http.get(pageUrl, { headers: headers });
+
+    if (response.status !== 200) {
+      throw new Error(`Search page failed: ${response.statusText}`);
+    }
+
+    // Past the last page the site serves another page of the section
+    const html = getResponseText(response);
+    if (getCurrentPage(html) !== page) {
+      continue;
+    }
+    results.push(...parseSeriesCards(html, type));
+  }
+
+  return results;
+}
+
+/**
+ * Recognizes a pasted webtoons.com series or episode link
+ * Handles desktop and mobile links such as ".../list?title_no=95",
+ * ".../viewer?title_no=95&episode_no=1" and "/episodeList?titleNo=95"
+ * @param {string} query - Search query
+ * @returns {{seriesId: string, episodeNo: string, locale: string|null}|null}
+ *   The linked series, or null for other queries
+ */
+function parseWebtoonsUrl(query) {
+  const urlMatch = String(query || "")
+    .trim()
+    .match(/^(?:https?:\/\/)?(?:www\.|m\.)?webtoons\.com(\/\S*)$/i);
+  if (!urlMatch) {
+    return null;
+  }
+
+  const path = urlMatch[1];
+  const titleMatch = path.match(/[?&]title_?no=(\d+)/i);
+  if (!titleMatch) {
+    return null;
+  }
+
+  const episodeMatch = path.match(/[?&]episode_?no=(\d+)/i);
+  const type = /\/(?:challenge|canvas)\//i.test(path) ? "challenge" : "webtoon";
+
+  return {
+    seriesId: formatSeriesId(type, titleMatch[1]),
+    episodeNo: episodeMatch ? episodeMatch[1] : "",
+    locale: getLocaleFromLink(path),
+  };
+}
+
+/**
+ * Searches for webtoons
+ * Pasted webtoons.com links return the linked series. Other queries combine
+ * the immediate endpoint's best matches with a page of the full search
+ * results, so partial and case-varied queries still find series
+ * @param {string} query - Search query
+ * @param {object} mango - Mango API object
+ * @param {object} options - Paging options
+ * @param {number} options.page - 1-based page of the full search results
+ *   (default 1); the immediate endpoint's matches only lead the first page
+ * @returns {Promise<Array>} SearchResult objects
+ */
+exports.search = async (query, mango, options = {}) => {
+  mango.log.info(`Searching Webtoons for: ${query}`);
+
+  try {
+    const locale = getLocale(mango);
 
-        return {
-          title: item.title || "Untitled",
-          cover_url: finalCoverUrl,
-          identifier: String(item.titleNo),
+    const link = parseWebtoonsUrl(query);
+    if (link) {
+      mango.log.debug(`Looking up linked series ${link.seriesId}`);
+      try {
+        const details = await fetchSeriesDetails(
+          link.seriesId,
+          link.locale || locale,
+          mango
+        );
+        const result = {
+          title: details.title,
+          cover_url: details.cover_url,
+          identifier: details.identifier,
         };
-      });
+        if (link.episodeNo) {
+          result.episode_no = link.episodeNo;
+        }
+        mango.log.info(`Found linked series: ${result.title}`);
+        return [result];
+      } catch (error) {
+        if (error.status === 404) {
+          mango.log.info("Linked series not found");
+          return [];
+        }
+        throw error;
+      }
+    }
 
-    mango.log.info(`Found ${results.length} results`);
+    const page = Math.max(1, parseInt(options?.page, 10) || 1);
+
+    // Either source may fail on its own; only give up when both do
+    let immediateError = null;
+    let immediateResults = [];
+    if (page === 1) {
+      try {
+        immediateResults = await searchImmediate(query, locale, mango);
+      } catch (error) {
+        mango.log.warn(`Immediate search failed: ${error.message}`);
+        immediateError = error;
+      }
+    }
+
+    let pageResults = [];
+    try {
+      pageResults = await searchResultPages(query, locale, page, mango);
+    } catch (error) {
+      mango.log.warn(`Search results page failed: ${error.message}`);
+      if (immediateError || page > 1) {
+        throw immediateError || error;
+      }
+    }
+
+    const results = uniqueResults([...immediateResults, ...pageResults]);
+
+    if (results.length === 0) {
+      mango.log.info("No results found");
+    } else {
+      mango.log.info(`Found ${results.length} results`);
+    }
     return results;
   } catch (error) {
     mango.log.error(`Search failed: ${error.message}`);
@@ -117,20 +685,23 @@ exports.search = async (query, mango) => {
 
 /**
  * Gets chapters for a webtoon
- * @param {string} seriesId - Series identifier (titleNo)
+ * @param {string} seriesId - Series identifier (titleNo, or "challenge:"
+ *   followed by the titleNo for Canvas series)
  * @param {object} mango - Mango API object
  */
 exports.getChapters = async (seriesId, mango) => {
   mango.log.info(`Fetching chapters for series: ${seriesId}`);
 
   try {
+    const { type, titleNo } = parseSeriesId(seriesId);
+    const seriesIdentifier = formatSeriesId(type, titleNo);
     const allEpisodes = [];
     let cursor = 0;
     const pageSize = 100;
 
     // Fetch all episodes with pagination
     do {
-      let episodesApiUrl = `${MOBILE_URL}/api/v1/webtoon/${seriesId}/episodes?pageSize=${pageSize}&cursor=${cursor}`;
+      let episodesApiUrl = `${MOBILE_URL}/api/v1/${SERIES_TYPES[type].api}/${titleNo}/episodes?pageSize=${pageSize}&cursor=${cursor}`;
 
       mango.log.debug(`Fetching episodes from: ${episodesApiUrl}`);
 
@@ -178,11 +749,25 @@ exports.getChapters = async (seriesId, mango) => {
 
     mango.log.info(`Found ${allEpisodes.length} episodes from API`);
 
+    const locale = getLocale(mango);
+    const hideLocked = Boolean(mango.config?.hide_locked_episodes);
+
     // Parse episodes into chapters
-    const chapters = allEpisodes.map((episode) => {
+    const episodes = allEpisodes.filter(
+      (episode) => !hideLocked || !getEpisodeLock(episode)
+    );
+    if (episodes.length < allEpisodes.length) {
+      mango.log.info(
+        `Hiding ${allEpisodes.length - episodes.length} locked episodes`
+      );
+    }
+
+    const chapters = episodes.map((episode) => {
       // Extract episode number
       const episodeNo = episode.episodeNo || "0";
 
+      const lockType = getEpisodeLock(episode);
+
       // Extract title
       const title = episode.episodeTitle || `Episode ${episodeNo}`;
 
@@ -199,9 +784,11 @@ exports.getChapters = async (seriesId, mango) => {
         }
       }
 
-      // Create chapter identifier: id{titleNo}viewerLink{viewerLink}chNum{num}
+      const viewerLink = addLocaleToLink(episode.viewerLink, locale);
+
+      // Create chapter identifier: id{seriesId}viewerLink{viewerLink}chNum{num}
       const chapterId =
-        `id${seriesId}viewerLink${episode.viewerLink}chNum${episodeNo}`.replace(
+        `id${seriesIdentifier}viewerLink${viewerLink}chNum${episodeNo}`.replace(
           /-/g,
           "_"
         );
@@ -212,9 +799,11 @@ exports.getChapters = async (seriesId, mango) => {
         volume: "",
         chapter: String(episodeNo),
         pages: 0,
-        language: "en",
+        language: getLocaleFromLink(viewerLink) || locale,
         group_id: "",
         published_at: publishedAt,
+        locked: Boolean(lockType),
+        lock_type: lockType,
       };
     });
 
@@ -233,6 +822,87 @@ exports.getChapters = async (seriesId, mango) => {
   }
 };
 
+/**
+ * Picks the image URL of a viewer <img>, preferring lazy-load attributes
+ * over src, which may only hold a placeholder
+ * @param {function(string): string} getAttribute - Reads an attribute value
+ * @returns {string} Image URL, or "" if the image has none
+ */
+function getViewerImageUrl(getAttribute) {
+  for (const attribute of VIEWER_IMAGE_ATTRIBUTES) {
+    const value = decodeHtml(getAttribute(attribute) || "").trim();
+    if (value && !value.startsWith("data:")) {
+      return value;
+    }
+  }
+  return "";
+}
+
+/**
+ * Reads the viewer images with mango.utils.parseHTML
+ * @param {string} html - Chapter viewer HTML
+ * @param {object} mango - Mango API object
+ * @returns {string[]|null} Image URLs, or null if _imageList is missing
+ */
+function parseViewerImagesWithDom(html, mango) {
+  const doc = mango.utils.parseHTML(html);
+  const imageList = doc ? doc.querySelector("#_imageList") : null;
+  if (!imageList) {
+    return null;
+  }
+
+  const images = imageList.querySelectorAll("img") || [];
+  const imageUrls = [];
+  for (let i = 0; i < images.length; i++) {
+    const imageUrl = getViewerImageUrl((name) => images[i].getAttribute(name));
+    if (imageUrl) {
+      imageUrls.push(imageUrl);
+    }
+  }
+  return imageUrls;
+}
+
+/**
+ * Reads the viewer images with regexes
+ * Follows nested divs to the closing tag of _imageList, so wrappers around
+ * the images do not cut the list short
+ * @param {string} html - Chapter viewer HTML
+ * @returns {string[]|null} Image URLs, or null if _imageList is missing
+ */
+function parseViewerImagesWithRegex(html) {
+  const openMatch = html.match(/<div[^>]*id=["']_imageList["'][^>]*>/i);
+  if (!openMatch) {
+    return null;
+  }
+
+  const start = openMatch.index + openMatch[0].length;
+  const divRegex = /<div\b[^>]*>|<\/div\s*>/gi;
+  divRegex.lastIndex = start;
+  let depth = 1;
+  let end = html.length;
+  let divMatch;
+
+  while ((divMatch = divRegex.exec(html)) !== null) {
+    depth += divMatch[0].startsWith("</") ? -1 : 1;
+    if (depth === 0) {
+      end = divMatch.index;
+      break;
+    }
+  }
+
+  const imageTags = html.slice(start, end).match(/<img\b[^>]*>/gi) || [];
+  return imageTags
+    .map((tag) =>
+      getViewerImageUrl((name) => {
+        const attributeMatch = tag.match(
+          new RegExp(`\\s${name}=["']([^"']*)["']`, "i")
+        );
+        return attributeMatch ? attributeMatch[1] : "";
+      })
+    )
+    .filter(Boolean);
+}
+
 /**
  * Gets page URLs for a chapter
  * @param {string} chapterId - Chapter identifier
@@ -241,8 +911,10 @@ exports.getChapters = async (seriesId, mango) => {
 exports.getPageURLs = async (chapterId, mango) => {
   mango.log.info(`Fetching page URLs for chapter: ${chapterId}`);
 
-  // Parse chapter ID: id{titleNo}ch{slug}num{num}
-  const idMatch = chapterId.match(/id(\d+)viewerLink(.+)chNum(.+)/);
+  // Parse chapter ID: id{seriesId}viewerLink{viewerLink}chNum{num}
+  const idMatch = chapterId.match(
+    /id((?:challenge:)?\d+)viewerLink(.+)chNum(.+)/
+  );
   if (!idMatch) {
     throw new Error("Invalid chapter ID format");
   }
@@ -256,15 +928,19 @@ exports.getPageURLs = async (chapterId, mango) => {
   let baseUrl = BASE_URL;
 
   if (viewerLink.startsWith("http://") || viewerLink.startsWith("https://")) {
-    finalUrl = viewerLink;
+    finalUrl = restoreLocaleSegment(viewerLink);
     // Extract base URL from absolute URL
     const urlMatch = viewerLink.match(/^(https?:\/\/[^/]+)/);
     if (urlMatch) {
       baseUrl = urlMatch[1];
     }
   } else {
-    finalUrl =
-      BASE_URL + (viewerLink.startsWith("/") ? viewerLink : "/" + viewerLink);
+    let path = viewerLink.startsWith("/") ? viewerLink : "/" + viewerLink;
+    if (!getLocaleFromLink(path)) {
+      // Identifiers listed before they carried a locale segment
+      path = "/" + getLocale(mango) + path;
+    }
+    finalUrl = restoreLocaleSegment(BASE_URL + path);
   }
 
   mango.log.debug(`Fetching viewer URL: ${finalUrl}`);
@@ -275,28 +951,35 @@ exports.getPageURLs = async (chapterId, mango) => {
     // Parse HTML to extract images
     const html = resp.text();
 
-    // Extract _imageList div content
-    const imageListDivMatch = html.match(
-      /<div[^>]*id=["']_imageList["'][^>]*>([\s\S]*?)<\/div>/i
-    );
-
-    if (!imageListDivMatch) {
-      throw new Error("_imageList div not found in chapter viewer");
+    // Use utils.parseHTML if available, otherwise fall back to regex parsing
+    let imageUrls = null;
+    if (mango.utils && mango.utils.parseHTML) {
+      try {
+        imageUrls = parseViewerImagesWithDom(html, mango);
+      } catch (error) {
+        mango.log.warn(`parseHTML failed on chapter viewer: ${error.message}`);
+      }
+    }
+    if (imageUrls === null) {
+      imageUrls = parseViewerImagesWithRegex(html);
     }
 
-    const imageListContent = imageListDivMatch[1];
-
-    // Extract image URLs with data-url attribute from _imageList div only
-    const imageListRegex = /<img[^>]+data-url=["']([^"']+)["']/gi;
-    const imageUrls = [];
-    let imgMatch;
-
-    while ((imgMatch = imageListRegex.exec(imageListContent)) !== null) {
-      imageUrls.push(imgMatch[1]);
+    if (imageUrls === null) {
+      if (isLockedViewer(html)) {
+        throw new LockedEpisodeError(chapterId);
+      }
+      throw new Error(
+        "_imageList div not found in chapter viewer; the Webtoons viewer layout may have changed"
+      );
     }
 
     if (imageUrls.length === 0) {
-      throw new Error("No images found in _imageList div");
+      if (isLockedViewer(html)) {
+        throw new LockedEpisodeError(chapterId);
+      }
+      throw new Error(
+        "No images found in _imageList div; the Webtoons viewer layout may have changed"
+      );
     }
 
     // Convert image URLs to proxy URLs
@@ -315,3 +998,228 @@ exports.getPageURLs = async (chapterId, mango) => {
     );
   }
 };
+
+/**
+ * Splits the creator line of a series ("Writer / Artist") into names
+ * @param {string} text - Creator text from the list page
+ * @returns {string[]} Names, in page order
+ */
+function splitCreators(text) {
+  return text
+    .replace(/author info/gi, "")
+    .split(/\s*(?:\/|,|\n)\s*/)
+    .map((name) => name.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Reads the details of a webtoon from its series list page
+ * @param {string} seriesId - Series identifier
+ * @param {string} locale - Site locale
+ * @param {object} mango - Mango API object
+ * @returns {Promise<object>} Series details (see getSeriesDetails)
+ * @throws {Error} With a status property when the page cannot be fetched
+ */
+async function fetchSeriesDetails(seriesId, locale, mango) {
+  const { type, titleNo } = parseSeriesId(seriesId);
+  const listUrl = `${BASE_URL}/${locale}/${SERIES_TYPES[type].list}?titleNo=${encodeURIComponent(titleNo)}`;
+
+  mango.log.debug(`Fetching series page: ${listUrl}`);
+
+  const response = await mango.http.get(listUrl, {
+    headers: { Referer: BASE_URL + "/" },
+  });
+
+  if (response.status !== 200) {
+    const error = new Error(
+      `Series page returned status ${response.status}: ${response.statusText}`
+    );
+    error.status = response.status;
+    throw error;
+  }
+
+  const html = response.text();
+
+  const title =
+    matchText(
+      html,
+      /<h1[^>]*class=["'][^"']*subj[^"']*["'][^>]*>([\s\S]*?)<\/h1>/i
+    ) || getMetaContent(html, "og:title");
+  if (!title) {
+    throw new Error("Series title not found on series page");
+  }
+
+  const description =
+    matchText(
+      html,
+      /<p[^>]*class=["'][^"']*summary[^"']*["'][^>]*>([\s\S]*?)<\/p>/i
+    ) || getMetaContent(html, "og:description");
+
+  // The creator line lists the writer first, then the artist if different
+  const creatorText =
+    getMetaContent(html, "com-linewebtoon:webtoon:author") ||
+    matchText(
+      html,
+      /<div[^>]*class=["'][^"']*author_area[^"']*["'][^>]*>([\s\S]*?)<\/div>/i
+    );
+  const creators = splitCreators(creatorText);
+  const authors = creators.slice(0, 1);
+  const artists = creators.length > 1 ? creators.slice(1) : authors;
+
+  const genre = matchText(
+    html,
+    /<(?:h2|p)[^>]*class=["'][^"']*\bgenre\b[^"']*["'][^>]*>([\s\S]*?)<\/(?:h2|p)>/i
+  );
+
+  const dayInfo = matchText(
+    html,
+    /<p[^>]*class=["'][^"']*day_info[^"']*["'][^>]*>([\s\S]*?)<\/p>/i
+  );
+  // The day line is in the page's language; English is checked too since
+  // some sites keep English labels
+  const languages = [...new Set([locale, DEFAULT_LOCALE])];
+  const completed =
+    /class=["'][^"']*ico_completed/i.test(html) ||
+    languages.some((language) =>
+      new RegExp(COMPLETED_WORDS[language], "i").test(dayInfo)
+    );
+  const dayIndex = completed
+    ? -1
+    : languages
+        .map((language) =>
+          WEEKDAY_NAMES[language].findIndex((name) =>
+            new RegExp(name, "i").test(dayInfo)
+          )
+        )
+        .find((index) => index >= 0);
+  const updateDay = dayIndex >= 0 ? WEEKDAYS[dayIndex] : "";
+
+  // The detail background is the full-size banner; og:image is a fallback
+  const bannerMatch = html.match(
+    /class=["'][^"']*detail_bg[^"']*["'][^>]*style=["'][^"']*url\(\s*['"]?([^'")]+)['"]?\s*\)/i
+  );
+  const bannerUrl = bannerMatch
+    ? decodeHtml(bannerMatch[1])
+    : getMetaContent(html, "og:image");
+
+  const details = {
+    identifier: formatSeriesId(type, titleNo),
+    title: title,
+    description: description,
+    authors: authors,
+    artists: artists,
+    genres: genre ? [genre] : [],
+    update_day: updateDay,
+    status: completed ? "completed" : "ongoing",
+    cover_url: proxyCoverUrl(bannerUrl),
+  };
+  return details;
+}
+
+/**
+ * Gets the details of a webtoon from its series list page
+ * @param {string} seriesId - Series identifier (titleNo, or "challenge:"
+ *   followed by the titleNo for Canvas series)
+ * @param {object} mango - Mango API object
+ * @returns {Promise<object>} Series details: identifier, title, description,
+ *   authors, artists, genres, update_day, status and cover_url (banner)
+ */
+exports.getSeriesDetails = async (seriesId, mango) => {
+  mango.log.info(`Fetching details for series: ${seriesId}`);
+
+  try {
+    const details = await fetchSeriesDetails(seriesId, getLocale(mango), mango);
+
+    mango.log.info(`Fetched details for: ${details.title}`);
+    return details;
+  } catch (error) {
+    mango.log.error(`GetSeriesDetails failed: ${error.message}`);
+    throw new Error(`Failed to get series details: ${error.message}`);
+  }
+};
+
+/**
+ * Resolves a browse list name to its webtoons.com page
+ * @param {string} listName - Weekday, genre, "completed", "trending" or "popular"
+ * @returns {{path: string, paged: boolean}|null} Page path below the
+ *   locale and whether it takes a page parameter, or null for unknown lists
+ */
+function getBrowsePage(listName) {
+  const name = String(listName || "")
+    .trim()
+    .toLowerCase();
+
+  if (WEEKDAYS.includes(name)) {
+    return { path: `/originals/${name}`, paged: false };
+  }
+  if (name === "completed") {
+    return { path: "/originals/complete", paged: true };
+  }
+  if (RANKINGS.includes(name)) {
+    return { path: `/ranking/${name}`, paged: false };
+  }
+
+  const genre = name.startsWith("genre:") ? name.slice(6).trim() : name;
+  if (
+    GENRES.includes(genre) ||
+    (genre !== name && /^[a-z0-9-]+$/.test(genre))
+  ) {
+    return { path: `/genres/${genre}`, paged: true };
+  }
+  return null;
+}
+
+/**
+ * Lists webtoons from a browse list
+ * @param {string} listName - Weekday ("monday" ... "sunday"), genre
+ *   ("fantasy", or "genre:<slug>" for any other), "completed", "trending"
+ *   or "popular"
+ * @param {object} mango - Mango API object
+ * @param {object} options - Paging options
+ * @param {number} options.page - 1-based page number (default 1); weekday
+ *   schedules and rankings have a single page
+ * @returns {Promise<Array>} SearchResult objects
+ */
+exports.browse = async (listName, mango, options = {}) => {
+  mango.log.info(`Browsing Webtoons list: ${listName}`);
+
+  try {
+    const browsePage = getBrowsePage(listName);
+    if (!browsePage) {
+      throw new Error(
+        `Unknown browse list "${listName}"; use a weekday, a genre, completed, ${RANKINGS.join(", ")}`
+      );
+    }
+
+    const page = Math.max(1, parseInt(options?.page, 10) || 1);
+    if (page > 1 && !browsePage.paged) {
+      return [];
+    }
+
+    const pageParam = page > 1 ? `?page=${page}` : "";
+    const pageUrl = `${BASE_URL}/${getLocale(mango)}${browsePage.path}${pageParam}`;
+
+    mango.log.debug(`Fetching browse page: ${pageUrl}`);
+
+    const response = await mango.http.get(pageUrl, {
+      headers: { Referer: BASE_URL + "/" },
+    });
+
+    if (response.status !== 200) {
+      throw new Error(
+        `Browse page returned status ${response.status}: ${response.statusText}`
+      );
+    }
+
+    // Schedules and rankings may list a series more than once
+    const results = uniqueResults(
+      parseSeriesCards(getResponseText(response), "webtoon")
+    );
+
+    mango.log.info(`Found ${results.length} results`);
+    return results;
+  } catch (error) {
+    mango.log.error(`Browse failed: ${error.message}`);
+    throw new Error(`Failed to browse: ${error.message}`);
+  }
+};
@@ -49,6 +49,28 @@ const createMockMango = (overrides = {}) => {
   return mockMango;
 };
 
+// Successful http.get response carrying an HTML page
+const htmlResponse = (html) => ({
+  status: 200,
+  statusText: "OK",
+  data: html,
+  text: () => html,
+});
+
+// Mock mango whose http.get records every URL in requests and answers with
+// respond(url); HTML strings are wrapped in a successful response
+const createRecordingMango = (respond, requests = [], overrides = {}) =>
+  createMockMango({
+    ...overrides,
+    http: {
+      get: async (url) => {
+        requests.push(url);
+        const response = await respond(url);
+        return typeof response === "string" ? htmlResponse(response) : response;
+      },
+    },
+  });
+
 describe("Webtoons Plugin Tests", () => {
   describe("search", () => {
     test("returns search results for valid query", async () => {
@@ -640,5 +662,1039 @@ describe("Webtoons Plugin Tests", () => {
       );
     });
   });
+
+  describe("locales", () => {
+    const viewerHtml = `
+      <div id="_imageList">
+        <img data-url="https://webtoon-phinf.pstatic.net/page1.jpg" />
+      </div>
+    `;
+
+    test("searches the configured locale", async () => {
+      const requests = [];
+      const mockMango = createMockMango({
+        config: { locale: "ES" },
+        http: {
+          get: async (url) => {
+            requests.push(url);
+            return { status: 200, statusText: "OK", data: { result: { total: 0 } } };
+          },
+        },
+      });
+
+      await plugin.search("tower", mockMango);
+
+      assert.ok(
+        requests[0].startsWith("https://www.webtoons.com/es/search/immediate?keyword=tower"),
+        requests[0]
+      );
+      assert.ok(requests[1].startsWith("https://www.webtoons.com/es/search?keyword=tower"), requests[1]);
+    });
+
+    test("falls back to English for unknown locales", async () => {
+      const requests = [];
+      const mockMango = createMockMango({
+        config: { locale: "klingon" },
+        http: {
+          get: async (url) => {
+            requests.push(url);
+            return { status: 200, statusText: "OK", data: { result: { total: 0 } } };
+          },
+        },
+      });
+
+      await plugin.search("tower", mockMango);
+
+      assert.ok(requests.every((url) => url.startsWith("https://www.webtoons.com/en/search")));
+    });
+
+    test("sets the chapter language from the episode locale", async () => {
+      const mockMango = createMockMango({
+        config: { locale: "zh-hant" },
+        http: {
+          get: async () => ({
+            status: 200,
+            statusText: "OK",
+            data: {
+              success: true,
+              result: {
+                episodeList: [
+                  {
+                    episodeNo: 1,
+                    episodeTitle: "第1話",
+                    viewerLink:
+                      "/zh-hant/fantasy/tower-of-god/episode-1/viewer?title_no=100&episode_no=1",
+                  },
+                  {
+                    episodeNo: 2,
+                    episodeTitle: "第2話",
+                    viewerLink: "/fantasy/tower-of-god/episode-2/viewer?title_no=100&episode_no=2",
+                  },
+                ],
+                nextCursor: null,
+              },
+            },
+          }),
+        },
+      });
+
+      const chapters = await plugin.getChapters("100", mockMango);
+
+      assert.deepStrictEqual(
+        chapters.map((chapter) => chapter.language),
+        ["zh-hant", "zh-hant"]
+      );
+    });
+
+    test("fetches the viewer of a chapter in its own locale", async () => {
+      const requests = [];
+      const mockMango = createMockMango({
+        config: { locale: "en" },
+        http: {
+          get: async (url) => {
+            requests.push(url);
+            return htmlResponse(viewerHtml);
+          },
+        },
+      });
+
+      const viewerLink =
+        "/zh-hant/fantasy/tower-of-god/episode-1/viewer?title_no=100&episode_no=1";
+      const chapterId = `id100viewerLink${viewerLink}chNum1`.replace(/-/g, "_");
+
+      await plugin.getPageURLs(chapterId, mockMango);
+
+      assert.ok(
+        requests[0].startsWith("https://www.webtoons.com/zh-hant/fantasy/"),
+        "Should restore the hyphen in the locale segment"
+      );
+    });
+
+    test("prefixes the configured locale when the viewer link has none", async () => {
+      const requests = [];
+      const mockMango = createMockMango({
+        config: { locale: "fr" },
+        http: {
+          get: async (url) => {
+            requests.push(url);
+            return htmlResponse(viewerHtml);
+          },
+        },
+      });
+
+      await plugin.getPageURLs(
+        "id200viewerLink/fantasy/titre/episode_1/viewer?title_no=200&episode_no=1chNum1",
+        mockMango
+      );
+
+      assert.ok(requests[0].startsWith("https://www.webtoons.com/fr/fantasy/titre/"));
+    });
+
+    test("keeps the listing locale in identifiers when the locale option changes", async () => {
+      const requests = [];
+      const mockMango = createRecordingMango(
+        (url) => {
+          if (url.includes("/api/v1/")) {
+            return {
+              status: 200,
+              statusText: "OK",
+              data: {
+                success: true,
+                result: {
+                  episodeList: [
+                    {
+                      episodeNo: 1,
+                      episodeTitle: "Épisode 1",
+                      viewerLink: "/fantasy/titre/episode-1/viewer?title_no=200&episode_no=1",
+                    },
+                  ],
+                  nextCursor: null,
+                },
+              },
+            };
+          }
+          return viewerHtml;
+        },
+        requests,
+        { config: { locale: "fr" } }
+      );
+
+      const chapters = await plugin.getChapters("200", mockMango);
+      mockMango.config.locale = "es";
+      await plugin.getPageURLs(chapters[0].identifier, mockMango);
+
+      assert.strictEqual(chapters[0].language, "fr");
+      assert.ok(requests[1].startsWith("https://www.webtoons.com/fr/fantasy/titre/"), requests[1]);
+    });
+
+    test("restores the locale segment of absolute viewer links", async () => {
+      const requests = [];
+      const mockMango = createRecordingMango(() => viewerHtml, requests, {
+        config: { locale: "en" },
+      });
+
+      const viewerLink =
+        "https://www.webtoons.com/zh-hant/fantasy/tower-of-god/episode-1/viewer?title_no=100&episode_no=1";
+      const chapterId = `id100viewerLink${viewerLink}chNum1`.replace(/-/g, "_");
+
+      await plugin.getPageURLs(chapterId, mockMango);
+
+      assert.ok(
+        requests[0].startsWith("https://www.webtoons.com/zh-hant/fantasy/"),
+        requests[0]
+      );
+    });
+
+    test("keeps English identifiers from before locale support working", async () => {
+      const requests = [];
+      const mockMango = createMockMango({
+        config: { locale: "de" },
+        http: {
+          get: async (url) => {
+            requests.push(url);
+            return htmlResponse(viewerHtml);
+          },
+        },
+      });
+
+      const urls = await plugin.getPageURLs(
+        "id6795viewerLink/en/super_hero/unordinary/episode_1/viewer?title_no=6795&episode_no=1chNum1",
+        mockMango
+      );
+
+      assert.ok(requests[0].startsWith("https://www.webtoons.com/en/super_hero/unordinary/"));
+      assert.strictEqual(urls.length, 1);
+    });
+  });
+
+  describe("Originals and Canvas series", () => {
+    const searchFixture = {
+      result: {
+        query: "tower",
+        total: 3,
+        searchedList: [
+          {
+            titleNo: 95,
+            title: "Tower of God",
+            webtoonType: "WEBTOON",
+            thumbnailMobile: "/20190101_1/tower.jpg",
+          },
+          {
+            titleNo: 432101,
+            title: "Tower Defense Diaries",
+            webtoonType: "CHALLENGE",
+            thumbnailMobile: "/20230505_2/diaries.jpg",
+          },
+        ],
+        challengeSearchedList: [
+          {
+            titleNo: 598812,
+            title: "The Tower Next Door",
+            thumbnailMobile: "/20240101_3/next-door.jpg",
+          },
+        ],
+      },
+    };
+
+    const episodesFixture = (type, titleNo) => ({
+      status: 200,
+      statusText: "OK",
+      data: {
+        success: true,
+        result: {
+          episodeList: [
+            {
+              episodeNo: 1,
+              episodeTitle: "Ep. 1",
+              viewerLink: `/en/${type === "challenge" ? "canvas" : "fantasy"}/series/episode-1/viewer?title_no=${titleNo}&episode_no=1`,
+              exposureDateMillis: 1700000000000,
+            },
+          ],
+          nextCursor: null,
+        },
+      },
+    });
+
+    const viewerHtml = `
+      <div id="_imageList">
+        <img data-url="https://swebtoon-phinf.pstatic.net/canvas1.png" />
+        <img data-url="https://swebtoon-phinf.pstatic.net/canvas2.png" />
+      </div>
+    `;
+
+    test("encodes the series type in search result identifiers", async () => {
+      const mockMango = createMockMango({
+        http: {
+          get: async () => ({ status: 200, statusText: "OK", data: searchFixture }),
+        },
+      });
+
+      const results = await plugin.search("tower", mockMango);
+
+      assert.deepStrictEqual(
+        results.map((result) => [result.title, result.identifier]),
+        [
+          ["Tower of God", "95"],
+          ["Tower Defense Diaries", "challenge:432101"],
+          ["The Tower Next Door", "challenge:598812"],
+        ]
+      );
+      assert.ok(
+        results[2].cover_url.includes(
+          encodeURIComponent("https://swebtoon-phinf.pstatic.net/20240101_3/next-door.jpg")
+        ),
+        "Canvas thumbnails should come from the Canvas image host"
+      );
+    });
+
+    test("uses the webtoon episode API for Originals", async () => {
+      const requests = [];
+      const mockMango = createMockMango({
+        http: {
+          get: async (url) => {
+            requests.push(url);
+            return episodesFixture("webtoon", 95);
+          },
+        },
+      });
+
+      const chapters = await plugin.getChapters("95", mockMango);
+
+      assert.ok(requests[0].startsWith("https://m.webtoons.com/api/v1/webtoon/95/episodes?"));
+      assert.ok(chapters[0].identifier.startsWith("id95viewerLink/en/fantasy/"));
+    });
+
+    test("uses the canvas episode API for Canvas series", async () => {
+      const requests = [];
+      const mockMango = createMockMango({
+        http: {
+          get: async (url) => {
+            requests.push(url);
+            return episodesFixture("challenge", 432101);
+          },
+        },
+      });
+
+      const chapters = await plugin.getChapters("challenge:432101", mockMango);
+
+      assert.ok(requests[0].startsWith("https://m.webtoons.com/api/v1/canvas/432101/episodes?"));
+      assert.ok(
+        chapters[0].identifier.startsWith("idchallenge:432101viewerLink/en/canvas/"),
+        chapters[0].identifier
+      );
+    });
+
+    test("downloads pages of a Canvas chapter", async () => {
+      const requests = [];
+      const mockMango = createMockMango({
+        http: {
+          get: async (url) => {
+            requests.push(url);
+            if (url.includes("/api/v1/")) {
+              return episodesFixture("challenge", 432101);
+            }
+            return htmlResponse(viewerHtml);
+          },
+        },
+      });
+
+      const chapters = await plugin.getChapters("challenge:432101", mockMango);
+      const urls = await plugin.getPageURLs(chapters[0].identifier, mockMango);
+
+      assert.strictEqual(
+        requests[1],
+        "https://www.webtoons.com/en/canvas/series/episode_1/viewer?title_no=432101&episode_no=1"
+      );
+      assert.strictEqual(urls.length, 2);
+      assert.ok(urls[0].includes(encodeURIComponent("https://swebtoon-phinf.pstatic.net/canvas1.png")));
+    });
+  });
+
+  describe("locked episodes", () => {
+    // Same entry shape as the episodes API fixture above, plus the pass and
+    // price fields of locked episodes
+    const episode = (episodeNo, title, lockFields = {}) => ({
+      episodeNo,
+      episodeTitle: title,
+      viewerLink: `/en/fantasy/series/episode-${episodeNo}/viewer?title_no=95&episode_no=${episodeNo}`,
+      exposureDateMillis: 1464048000000 + episodeNo * 604800000,
+      thumbnail: `/thumbnail${episodeNo}.jpg`,
+      displayUp: false,
+      hasBgm: false,
+      ...lockFields,
+    });
+
+    const episodesResponse = {
+      status: 200,
+      statusText: "OK",
+      data: {
+        success: true,
+        result: {
+          episodeList: [
+            episode(1, "Free"),
+            episode(2, "Bought", { price: 5, alreadyPurchased: true }),
+            episode(3, "Daily Pass", { dailyPass: true }),
+            episode(4, "Fast Pass", { fastPass: true, price: 5 }),
+            episode(5, "Coins", { price: 3 }),
+          ],
+          nextCursor: null,
+        },
+      },
+    };
+
+    test("marks locked episodes in the chapter list", async () => {
+      const mockMango = createMockMango({
+        http: { get: async () => episodesResponse },
+      });
+
+      const chapters = await plugin.getChapters("95", mockMango);
+
+      assert.deepStrictEqual(
+        chapters.map((chapter) => [chapter.chapter, chapter.locked, chapter.lock_type]),
+        [
+          ["1", false, ""],
+          ["2", false, ""],
+          ["3", true, "daily_pass"],
+          ["4", true, "fast_pass"],
+          ["5", true, "coins"],
+        ]
+      );
+    });
+
+    test("hides locked episodes when configured", async () => {
+      const mockMango = createMockMango({
+        config: { hide_locked_episodes: true },
+        http: { get: async () => episodesResponse },
+      });
+
+      const chapters = await plugin.getChapters("95", mockMango);
+
+      assert.deepStrictEqual(
+        chapters.map((chapter) => chapter.chapter),
+        ["1", "2"]
+      );
+    });
+
+    test("throws LockedEpisodeError for a locked viewer page", async () => {
+      const lockedHtml = `
+        <div class="episode_lock">
+          <span class="ico_lock"></span>
+          <p>Unlock this episode with Daily Pass or coins</p>
+        </div>
+      `;
+      const mockMango = createMockMango({
+        http: {
+          get: async () => htmlResponse(lockedHtml),
+        },
+      });
+      const chapterId = "id95viewerLink/en/fantasy/series/episode_3/viewer?title_no=95&episode_no=3chNum3";
+
+      await assert.rejects(
+        () => plugin.getPageURLs(chapterId, mockMango),
+        (error) => {
+          assert.ok(error instanceof plugin.LockedEpisodeError);
+          assert.strictEqual(error.code, "LOCKED_EPISODE");
+          assert.strictEqual(error.chapterId, chapterId);
+          return true;
+        }
+      );
+    });
+
+    test("reports a layout change when only the page navigation mentions Daily Pass", async () => {
+      const changedHtml = `
+        <div class="gnb"><a href="/en/dailypass" class="daily_pass_banner">Read more with Daily Pass</a></div>
+        <div class="viewer_img_v2"><img src="https://webtoon-phinf.pstatic.net/001.jpg" /></div>
+      `;
+      const mockMango = createMockMango({
+        http: {
+          get: async () => htmlResponse(changedHtml),
+        },
+      });
+      const chapterId = "id95viewerLink/en/fantasy/series/episode_1/viewer?title_no=95&episode_no=1chNum1";
+
+      await assert.rejects(
+        () => plugin.getPageURLs(chapterId, mockMango),
+        (error) => {
+          assert.ok(!(error instanceof plugin.LockedEpisodeError));
+          assert.match(error.message, /viewer layout may have changed/);
+          return true;
+        }
+      );
+    });
+  });
+
+  describe("getSeriesDetails", () => {
+    const listPageHtml = `
+      <html>
+        <head>
+          <meta property="og:title" content="Tower of God" />
+          <meta property="og:description" content="What do you desire?" />
+          <meta property="og:image" content="https://webtoon-phinf.pstatic.net/share.jpg" />
+          <meta property="com-linewebtoon:webtoon:author" content="SIU" />
+        </head>
+        <body>
+          <div class="detail_header type_white">
+            <div class="detail_bg" style="background:#000 url('https://webtoon-phinf.pstatic.net/20200101/banner_tog.jpg') no-repeat"></div>
+            <div class="info">
+              <h2 class="genre g_fantasy">Fantasy</h2>
+              <h1 class="subj">Tower of God</h1>
+              <div class="author_area">SIU<button type="button" class="ico_info2">author info</button></div>
+            </div>
+          </div>
+          <div class="detail_body">
+            <div class="aside detail">
+              <p class="day_info"><span class="txt_ico_up">UP</span>EVERY SUNDAY</p>
+              <p class="summary">What do you desire? Money and wealth? Honor and pride?<br>Authority and power?</p>
+            </div>
+          </div>
+        </body>
+      </html>
+    `;
+
+    const createPageMango = (html, requests = [], config = {}) =>
+      createRecordingMango(() => html, requests, { config });
+
+    test("reads the series list page", async () => {
+      const requests = [];
+      const details = await plugin.getSeriesDetails("95", createPageMango(listPageHtml, requests));
+
+      assert.strictEqual(requests[0], "https://www.webtoons.com/en/episodeList?titleNo=95");
+      assert.strictEqual(details.identifier, "95");
+      assert.strictEqual(details.title, "Tower of God");
+      assert.strictEqual(
+        details.description,
+        "What do you desire? Money and wealth? Honor and pride?\nAuthority and power?"
+      );
+      assert.deepStrictEqual(details.authors, ["SIU"]);
+      assert.deepStrictEqual(details.artists, ["SIU"]);
+      assert.deepStrictEqual(details.genres, ["Fantasy"]);
+      assert.strictEqual(details.update_day, "sunday");
+      assert.strictEqual(details.status, "ongoing");
+      assert.ok(
+        details.cover_url.startsWith("/api/proxy/resource?url=") &&
+          details.cover_url.includes(encodeURIComponent("banner_tog.jpg")),
+        "Should proxy the full-size banner"
+      );
+    });
+
+    test("splits writer and artist and detects completed series", async () => {
+      const html = `
+        <meta property="og:title" content="Lore &amp; Legends" />
+        <meta property="og:image" content="https://webtoon-phinf.pstatic.net/og_lore.jpg" />
+        <h2 class="genre g_romance">Romance</h2>
+        <div class="author_area">Jane Writer / Sam Artist<button>author info</button></div>
+        <p class="day_info">COMPLETED</p>
+      `;
+      const requests = [];
+
+      const details = await plugin.getSeriesDetails(
+        "challenge:432101",
+        createPageMango(html, requests, { locale: "fr" })
+      );
+
+      assert.strictEqual(
+        requests[0],
+        "https://www.webtoons.com/fr/challenge/episodeList?titleNo=432101"
+      );
+      assert.strictEqual(details.identifier, "challenge:432101");
+      assert.strictEqual(details.title, "Lore & Legends");
+      assert.strictEqual(details.description, "");
+      assert.deepStrictEqual(details.authors, ["Jane Writer"]);
+      assert.deepStrictEqual(details.artists, ["Sam Artist"]);
+      assert.strictEqual(details.status, "completed");
+      assert.strictEqual(details.update_day, "");
+      assert.ok(details.cover_url.includes(encodeURIComponent("og_lore.jpg")));
+    });
+
+    test("reads the update day and status of other locales", async () => {
+      const ongoingHtml = `
+        <h1 class="subj">La Torre de Dios</h1>
+        <p class="day_info"><span class="txt_ico_up">UP</span>CADA SÁBADO</p>
+      `;
+      const completedHtml = `
+        <h1 class="subj">Lore Olympus</h1>
+        <p class="day_info">COMPLETADO</p>
+      `;
+
+      const ongoing = await plugin.getSeriesDetails(
+        "95",
+        createPageMango(ongoingHtml, [], { locale: "es" })
+      );
+      const completed = await plugin.getSeriesDetails(
+        "1320",
+        createPageMango(completedHtml, [], { locale: "es" })
+      );
+
+      assert.strictEqual(ongoing.update_day, "saturday");
+      assert.strictEqual(ongoing.status, "ongoing");
+      assert.strictEqual(completed.update_day, "");
+      assert.strictEqual(completed.status, "completed");
+    });
+
+    test("detects completed series by the completed icon", async () => {
+      const html = `
+        <h1 class="subj">ทาวเวอร์ออฟก็อด</h1>
+        <p class="day_info"><span class="txt_ico_completed2">จบ</span></p>
+      `;
+
+      const details = await plugin.getSeriesDetails(
+        "95",
+        createPageMango(html, [], { locale: "th" })
+      );
+
+      assert.strictEqual(details.status, "completed");
+      assert.strictEqual(details.update_day, "");
+    });
+
+    test("handles HTTP errors", async () => {
+      const mockMango = createMockMango({
+        http: {
+          get: async () => ({ status: 404, statusText: "Not Found", data: null }),
+        },
+      });
+
+      await assert.rejects(
+        () => plugin.getSeriesDetails("999999", mockMango),
+        /Failed to get series details: Series page returned status 404/
+      );
+    });
+  });
+
+  describe("search results pages", () => {
+    const immediateResponse = {
+      status: 200,
+      statusText: "OK",
+      data: {
+        result: {
+          total: 1,
+          searchedList: [
+            { titleNo: 95, title: "Tower of God", thumbnailMobile: "/tog.jpg" },
+          ],
+        },
+      },
+    };
+
+    const originalsPage1 = `
+      <ul class="card_lst">
+        <li>
+          <a href="/en/fantasy/tower-of-god/list?title_no=95" class="card_item">
+            <img src="https://webtoon-phinf.pstatic.net/tog_card.jpg" alt="" />
+            <div class="info"><p class="subj">Tower of God</p><p class="author">SIU</p></div>
+          </a>
+        </li>
+        <li>
+          <a href="/en/fantasy/the-tower/list?title_no=1200" class="card_item">
+            <img src="https://webtoon-phinf.pstatic.net/tower.jpg" alt="" />
+            <div class="info"><p class="subj">THE TOWER &amp; ME</p></div>
+          </a>
+        </li>
+      </ul>
+      <div class="paginate"><a href="#" class="on">1</a><a href="?keyword=tower&amp;searchType=WEBTOON&amp;page=2">2</a></div>
+    `;
+
+    const originalsPage2 = `
+      <ul class="card_lst">
+        <li>
+          <a href="/en/drama/towering/list?title_no=1300" class="card_item">
+            <div class="info"><p class="subj">Towering</p></div>
+          </a>
+        </li>
+      </ul>
+      <div class="paginate"><a href="?keyword=tower&amp;searchType=WEBTOON&amp;page=1">1</a><a href="#" class="on">2</a></div>
+    `;
+
+    const canvasPage1 = `
+      <div class="challenge_lst search">
+        <ul>
+          <li>
+            <a href="/en/challenge/tower-diaries/list?title_no=432101" class="challenge_item">
+              <img src="https://swebtoon-phinf.pstatic.net/diaries.jpg" />
+              <p class="subj">Tower Diaries</p>
+            </a>
+          </li>
+        </ul>
+      </div>
+    `;
+
+    const createSearchMango = (requests, overrides = {}) =>
+      createRecordingMango((url) => {
+        if (url.includes("/search/immediate")) {
+          return overrides.immediate || immediateResponse;
+        }
+        const pages = {
+          "searchType=WEBTOON&page=1": originalsPage1,
+          "searchType=WEBTOON&page=2": originalsPage2,
+          "searchType=CHALLENGE&page=1": canvasPage1,
+          // Past its last page the site serves the Canvas results again
+          "searchType=CHALLENGE&page=2": canvasPage1,
+        };
+        const key = Object.keys(pages).find((suffix) => url.endsWith(suffix));
+        return key ? pages[key] : "";
+      }, requests);
+
+    test("merges immediate results with the first search results page", async () => {
+      const requests = [];
+
+      const results = await plugin.search("tower", createSearchMango(requests));
+
+      assert.deepStrictEqual(
+        results.map((result) => [result.identifier, result.title]),
+        [
+          ["95", "Tower of God"],
+          ["1200", "THE TOWER & ME"],
+          ["challenge:432101", "Tower Diaries"],
+        ],
+        "Should keep immediate results first and drop duplicates"
+      );
+      assert.deepStrictEqual(requests.slice(1), [
+        "https://www.webtoons.com/en/search?keyword=tower&searchType=WEBTOON&page=1",
+        "https://www.webtoons.com/en/search?keyword=tower&searchType=CHALLENGE&page=1",
+      ]);
+      assert.ok(results[1].cover_url.includes(encodeURIComponent("tower.jpg")));
+    });
+
+    test("returns later pages of the search results", async () => {
+      const requests = [];
+
+      const results = await plugin.search("tower", createSearchMango(requests), { page: 2 });
+
+      assert.deepStrictEqual(
+        results.map((result) => [result.identifier, result.title]),
+        [["1300", "Towering"]],
+        "Should skip sections the paginator shows have no such page"
+      );
+      assert.deepStrictEqual(requests, [
+        "https://www.webtoons.com/en/search?keyword=tower&searchType=WEBTOON&page=2",
+        "https://www.webtoons.com/en/search?keyword=tower&searchType=CHALLENGE&page=2",
+      ]);
+      assert.strictEqual(results[0].cover_url, "");
+    });
+
+    test("treats null options as the first page", async () => {
+      const requests = [];
+
+      const results = await plugin.search("tower", createSearchMango(requests), null);
+
+      assert.strictEqual(results.length, 3);
+      assert.ok(requests[1].endsWith("searchType=WEBTOON&page=1"), requests[1]);
+    });
+
+    test("finds series the immediate endpoint misses", async () => {
+      const requests = [];
+      const mockMango = createSearchMango(requests, {
+        immediate: {
+          status: 200,
+          statusText: "OK",
+          data: { result: { total: 0, searchedList: [] } },
+        },
+      });
+
+      const results = await plugin.search("tower", mockMango);
+
+      assert.strictEqual(results.length, 3);
+      assert.strictEqual(results[0].identifier, "95");
+    });
+
+    test("still returns page results when the immediate endpoint fails", async () => {
+      const requests = [];
+      const mockMango = createSearchMango(requests, {
+        immediate: { status: 503, statusText: "Service Unavailable" },
+      });
+
+      const results = await plugin.search("tower", mockMango);
+
+      assert.strictEqual(results.length, 3);
+    });
+  });
+
+  describe("browse", () => {
+    const schedulePage = `
+      <ul class="webtoon_list">
+        <li>
+          <a href="https://www.webtoons.com/en/fantasy/tower-of-god/list?title_no=95" class="link _originals_title_a">
+            <div class="image_wrap"><img src="https://webtoon-phinf.pstatic.net/tog.jpg" alt="Tower of God" /></div>
+            <div class="info_text"><strong class="title">Tower of God</strong><div class="author">SIU</div></div>
+          </a>
+        </li>
+        <li>
+          <a href="https://www.webtoons.com/en/romance/lore-olympus/list?title_no=1320" class="link _originals_title_a">
+            <div class="image_wrap"><img src="data:image/gif;base64,R0lGOD" data-src="https://webtoon-phinf.pstatic.net/lore.jpg" /></div>
+            <div class="info_text"><strong class="title">Lore Olympus</strong></div>
+          </a>
+        </li>
+        <li>
+          <a href="https://www.webtoons.com/en/fantasy/tower-of-god/list?title_no=95" class="link _originals_title_a">
+            <div class="info_text"><strong class="title">Tower of God</strong></div>
+          </a>
+        </li>
+      </ul>
+    `;
+
+    const createBrowseMango = (requests, config = {}) =>
+      createRecordingMango(() => schedulePage, requests, { config });
+
+    test("parses a weekday schedule with proxied covers", async () => {
+      const requests = [];
+
+      const results = await plugin.browse("Monday", createBrowseMango(requests), { page: 1 });
+
+      assert.deepStrictEqual(requests, ["https://www.webtoons.com/en/originals/monday"]);
+      assert.deepStrictEqual(
+        results.map((result) => [result.identifier, result.title]),
+        [
+          ["95", "Tower of God"],
+          ["1320", "Lore Olympus"],
+        ],
+        "Should drop repeated series"
+      );
+      assert.strictEqual(
+        results[0].cover_url,
+        "/api/proxy/resource?url=" +
+          encodeURIComponent("https://webtoon-phinf.pstatic.net/tog.jpg") +
+          "&referer=" +
+          encodeURIComponent("https://www.webtoons.com/")
+      );
+      assert.ok(results[1].cover_url.includes(encodeURIComponent("lore.jpg")));
+    });
+
+    test("treats null options as the first page", async () => {
+      const requests = [];
+
+      const results = await plugin.browse("fantasy", createBrowseMango(requests), null);
+
+      assert.deepStrictEqual(requests, ["https://www.webtoons.com/en/genres/fantasy"]);
+      assert.strictEqual(results.length, 2);
+    });
+
+    test("maps genres, completed and rankings to their pages", async () => {
+      const requests = [];
+      const mockMango = createBrowseMango(requests, { locale: "de" });
+
+      await plugin.browse("fantasy", mockMango, { page: 2 });
+      await plugin.browse("genre:city-office", mockMango, {});
+      await plugin.browse("completed", mockMango, { page: 3 });
+      await plugin.browse("trending", mockMango);
+      await plugin.browse("popular", mockMango);
+
+      assert.deepStrictEqual(requests, [
+        "https://www.webtoons.com/de/genres/fantasy?page=2",
+        "https://www.webtoons.com/de/genres/city-office",
+        "https://www.webtoons.com/de/originals/complete?page=3",
+        "https://www.webtoons.com/de/ranking/trending",
+        "https://www.webtoons.com/de/ranking/popular",
+      ]);
+    });
+
+    test("returns no further pages for single-page lists", async () => {
+      const requests = [];
+
+      const results = await plugin.browse("sunday", createBrowseMango(requests), { page: 2 });
+
+      assert.deepStrictEqual(results, []);
+      assert.strictEqual(requests.length, 0);
+    });
+
+    test("rejects unknown list names", async () => {
+      await assert.rejects(
+        () => plugin.browse("someday", createMockMango(), { page: 1 }),
+        /Failed to browse: Unknown browse list "someday"/
+      );
+    });
+  });
+
+  describe("viewer parsing", () => {
+    const chapterId =
+      "id95viewerLink/en/fantasy/tower_of_god/season_1_ep_1/viewer?title_no=95&episode_no=1chNum1";
+
+    // Trimmed from recorded webtoons.com viewer pages
+    const viewerFixtures = {
+      nested: `
+        <!DOCTYPE html>
+        <html lang="en">
+        <head><meta property="og:title" content="Tower of God - [Season 1] Ep. 1" /></head>
+        <body class="en">
+          <div id="wrap">
+            <div id="content" class="viewer">
+              <div class="cont_box">
+                <div class="viewer_img _img_viewer_area" id="_viewerBox">
+                  <div class="viewer_lst">
+                    <div id="_imageList">
+                      <img src="https://webtoons-static.pstatic.net/image/bg_transparency.png" data-url="https://webtoon-phinf.pstatic.net/20140628_167/tog_001.jpg?type=q90" width="800" height="1280" alt="image" class="_images" />
+                      <div class="ad_area"><div class="ad_inner"></div></div>
+                      <img src="https://webtoons-static.pstatic.net/image/bg_transparency.png" data-url="https://webtoon-phinf.pstatic.net/20140628_167/tog_002.jpg?type=q90" width="800" height="1280" alt="image" class="_images" />
+                    </div>
+                    <div class="episode_relation"><img src="https://webtoon-phinf.pstatic.net/related.jpg" /></div>
+                  </div>
+                </div>
+              </div>
+            </div>
+          </div>
+        </body>
+        </html>
+      `,
+      lazySrc: `
+        <div id="_imageList" class="viewer_lst">
+          <img class="_images" data-src="https://webtoon-phinf.pstatic.net/canvas_001.png?type=q90" src="data:image/gif;base64,R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7" />
+          <img class="_images" src="https://webtoon-phinf.pstatic.net/canvas_002.png?type=q90&amp;ver=2" />
+        </div>
+      `,
+      redesigned: `
+        <html><body>
+          <main class="viewer-container">
+            <section class="episode-images"><img src="https://webtoon-phinf.pstatic.net/new_001.jpg" /></section>
+          </main>
+        </body></html>
+      `,
+    };
+
+    const createViewerMango = (html, utils = {}) =>
+      createRecordingMango(() => html, [], { utils });
+
+    const decodedPageUrls = (urls) =>
+      urls.map((url) => decodeURIComponent(url.match(/url=([^&]+)/)[1]));
+
+    test("reads every image of an _imageList with nested divs", async () => {
+      const urls = await plugin.getPageURLs(chapterId, createViewerMango(viewerFixtures.nested));
+
+      assert.deepStrictEqual(decodedPageUrls(urls), [
+        "https://webtoon-phinf.pstatic.net/20140628_167/tog_001.jpg?type=q90",
+        "https://webtoon-phinf.pstatic.net/20140628_167/tog_002.jpg?type=q90",
+      ]);
+    });
+
+    test("reads data-src and src images, skipping inline placeholders", async () => {
+      const urls = await plugin.getPageURLs(chapterId, createViewerMango(viewerFixtures.lazySrc));
+
+      assert.deepStrictEqual(decodedPageUrls(urls), [
+        "https://webtoon-phinf.pstatic.net/canvas_001.png?type=q90",
+        "https://webtoon-phinf.pstatic.net/canvas_002.png?type=q90&ver=2",
+      ]);
+    });
+
+    test("uses mango.utils.parseHTML when available", async () => {
+      const createImage = (attributes) => ({
+        getAttribute: (name) => (name in attributes ? attributes[name] : null),
+      });
+      const parsedDocuments = [];
+      const parseHTML = (html) => {
+        parsedDocuments.push(html);
+        return {
+          querySelector: (selector) =>
+            selector === "#_imageList"
+              ? {
+                  querySelectorAll: (imgSelector) =>
+                    imgSelector === "img"
+                      ? [
+                          createImage({ src: "https://webtoons-static.pstatic.net/image/bg_transparency.png", "data-url": "https://webtoon-phinf.pstatic.net/dom_001.jpg" }),
+                          createImage({ "data-original": "https://webtoon-phinf.pstatic.net/dom_002.jpg" }),
+                          createImage({}),
+                        ]
+                      : [],
+                }
+              : null,
+        };
+      };
+
+      const urls = await plugin.getPageURLs(
+        chapterId,
+        createViewerMango(viewerFixtures.nested, { parseHTML })
+      );
+
+      assert.strictEqual(parsedDocuments.length, 1, "Should parse the viewer page");
+      assert.deepStrictEqual(decodedPageUrls(urls), [
+        "https://webtoon-phinf.pstatic.net/dom_001.jpg",
+        "https://webtoon-phinf.pstatic.net/dom_002.jpg",
+      ]);
+    });
+
+    test("falls back to regex parsing when parseHTML fails", async () => {
+      const parseHTML = () => {
+        throw new Error("parser crashed");
+      };
+
+      const urls = await plugin.getPageURLs(
+        chapterId,
+        createViewerMango(viewerFixtures.nested, { parseHTML })
+      );
+
+      assert.strictEqual(urls.length, 2);
+    });
+
+    test("reports a changed viewer layout", async () => {
+      await assert.rejects(
+        () => plugin.getPageURLs(chapterId, createViewerMango(viewerFixtures.redesigned)),
+        /_imageList div not found in chapter viewer; the Webtoons viewer layout may have changed/
+      );
+    });
+  });
+
+  describe("search by webtoons.com link", () => {
+    const seriesPage = `
+      <meta property="og:image" content="https://webtoon-phinf.pstatic.net/og_tog.jpg" />
+      <div class="detail_bg" style="background:url(https://webtoon-phinf.pstatic.net/banner_tog.jpg)"></div>
+      <h1 class="subj">Tower of God</h1>
+    `;
+
+    const createLinkMango = (requests, status = 200) =>
+      createRecordingMango(
+        () => (status === 200 ? seriesPage : { status, statusText: "Not Found", data: "" }),
+        requests
+      );
+
+    test("returns the series of a desktop list link", async () => {
+      const requests = [];
+
+      const results = await plugin.search(
+        "https://www.webtoons.com/en/fantasy/tower-of-god/list?title_no=95",
+        createLinkMango(requests)
+      );
+
+      assert.deepStrictEqual(requests, ["https://www.webtoons.com/en/episodeList?titleNo=95"]);
+      assert.strictEqual(results.length, 1);
+      assert.strictEqual(results[0].identifier, "95");
+      assert.strictEqual(results[0].title, "Tower of God");
+      assert.ok(results[0].cover_url.includes(encodeURIComponent("banner_tog.jpg")));
+      assert.strictEqual(results[0].episode_no, undefined);
+    });
+
+    test("returns the series of a mobile viewer link with its episode", async () => {
+      const requests = [];
+
+      const results = await plugin.search(
+        "m.webtoons.com/es/fantasy/tower-of-god/episode-12/viewer?title_no=1830&episode_no=12",
+        createLinkMango(requests)
+      );
+
+      assert.deepStrictEqual(requests, ["https://www.webtoons.com/es/episodeList?titleNo=1830"]);
+      assert.strictEqual(results[0].identifier, "1830");
+      assert.strictEqual(results[0].episode_no, "12");
+    });
+
+    test("recognizes Canvas links", async () => {
+      const requests = [];
+
+      const results = await plugin.search(
+        "https://www.webtoons.com/en/canvas/tower-diaries/list?title_no=432101",
+        createLinkMango(requests)
+      );
+
+      assert.deepStrictEqual(requests, [
+        "https://www.webtoons.com/en/challenge/episodeList?titleNo=432101",
+      ]);
+      assert.strictEqual(results[0].identifier, "challenge:432101");
+    });
+
+    test("returns no results for a link to a missing series", async () => {
+      const requests = [];
+
+      const results = await plugin.search(
+        "https://www.webtoons.com/en/fantasy/gone/list?title_no=1",
+        createLinkMango(requests, 404)
+      );
+
+      assert.deepStrictEqual(results, []);
+      assert.strictEqual(requests.length, 1, "Should not fall back to a text search");
+    });
+  });
 });
 